@@ -6,7 +6,20 @@ export interface HttpResponse<T = any> {
     url: string;
     data: T;
     etag?: string;
+    lastModified?: string;
     fromCache?: boolean;
+    /** Served from an expired cache entry (stale-while-revalidate / stale-if-error) */
+    stale?: boolean;
+    /** Produced by the circuit breaker fallback, not the server */
+    fromFallback?: boolean;
+    /** Key sent in the idempotency header (POST/PATCH with `idempotency` enabled) */
+    idempotencyKey?: string;
+    /** Network attempts made (0 for cache hits) */
+    attempts?: number;
+    /** Time from the first attempt to the response, including retry waits */
+    totalDuration?: number;
+    /** Errors of the failed attempts before this response */
+    errors?: Error[];
 }
 
 export interface RequestConfig {
@@ -18,28 +31,246 @@ export interface RequestConfig {
     timeout?: number;
     signal?: AbortSignal;
     cache?: boolean;
+    /** Tags for the cached GET response, see invalidateCacheTags() */
+    cacheTags?: string[];
+    /** Cache this response for `cacheTtl` ms (overrides ttl and cache headers) */
+    cacheTtl?: number;
+    /** Cache under this key instead of URL and params (auth headers still apply) */
+    cacheKey?: string;
+    /** Skip the cache lookup but store the fresh response */
+    forceRefresh?: boolean;
+    /** Never hit the network - throws CacheMissError on a miss */
+    onlyIfCached?: boolean;
+    /** Set to false to never join an in-flight request for the same key */
+    dedupe?: boolean;
     responseType?: 'json' | 'text' | 'blob' | 'arraybuffer' | 'stream' | 'auto';
-    priority?: 'high' | 'low';
+    /** Orders the concurrency queue (higher first); 'high' / 'low' are also sent as fetch hints */
+    priority?: 'high' | 'low' | number;
+    /** Set by Grab when an idempotency key was assigned */
+    idempotencyKey?: string;
+    /** Override the instance retry settings; `false` makes a single attempt */
+    retry?: false | Pick<RetryOptions, 'attempts' | 'delay' | 'condition'>;
+    /** Set to false to skip the circuit breaker for this request */
+    circuitBreaker?: false;
+}
+
+export interface CacheEntry {
+    data: HttpResponse;
+    expires: number;
+    etag: string | null;
+    lastModified?: string | null;
+    mustRevalidate?: boolean;
+    tags?: string[];
+    size?: number;
+}
+
+export interface CacheEntryInfo {
+    method: string;
+    url: string;
+    params: Record<string, any>;
+    tags: string[];
+    /** Keyed by auth headers */
+    authenticated: boolean;
+}
+
+export interface ExportCacheOptions {
+    /** Include auth-keyed entries (default: false - don't leak user data into HTML) */
+    includeAuth?: boolean;
+    /** Response headers to keep (default: content-type, etag, last-modified, cache-control, expires, vary) */
+    headers?: string[];
+}
+
+export interface CacheSnapshot {
+    version: 1;
+    entries: Array<{
+        key: string;
+        data: Omit<HttpResponse, 'headers'> & { headers: [string, string][] };
+        expires: number;
+        etag: string | null;
+        lastModified?: string | null;
+        mustRevalidate?: boolean;
+        tags?: string[];
+    }>;
+    vary: [string, string[]][];
+}
+
+export interface InvalidationRule {
+    /** Matched against the resolved URL of a successful mutation */
+    url: string | RegExp;
+    /** Default: POST, PUT, PATCH, DELETE */
+    methods?: string[];
+    /** Tags to invalidate */
+    tags?: string[] | ((match: RegExpMatchArray, config: RequestConfig) => string[]);
+    /** Entries to invalidate; without tags or invalidate, GET entries matching `url` are dropped */
+    invalidate?: (entry: CacheEntryInfo, match: RegExpMatchArray, config: RequestConfig) => boolean;
+}
+
+export interface CacheStore {
+    name?: string;
+    get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    keys(): string[] | Promise<string[]>;
+    clear(): void | Promise<void>;
 }
 
 export interface CacheOptions {
     enabled?: boolean;
     ttl?: number;
     maxSize?: number;
+    /** Approximate byte budget for all entries, evicted LRU (0 = unlimited) */
+    maxBytes?: number;
+    /** Responses larger than this aren't cached (0 = unlimited) */
+    maxEntryBytes?: number;
     authHeaders?: string[];
+    store?: CacheStore | 'memory' | 'localStorage' | 'indexedDB' | 'file';
+    /** Serve expired entries while refreshing in the background (ms past expiry, true = until evicted) */
+    staleWhileRevalidate?: boolean | number;
+    /** Serve expired entries on network errors, timeouts, an open circuit or 5xx (ms past expiry, true = until evicted) */
+    staleIfError?: boolean | number;
+    /** Derive freshness from Cache-Control, Expires and Age, and key on Vary (default: false) */
+    respectHeaders?: boolean;
+    invalidationRules?: InvalidationRule[];
+    /** Named URL patterns to break stats down by */
+    statsPatterns?: Record<string, string | RegExp>;
+    /** Called on every cache decision */
+    onEvent?: (event: CacheEvent) => void;
+    /** BroadcastChannel name for sharing cache writes, invalidations and in-flight requests between tabs */
+    shareAcrossTabs?: string;
+}
+
+export interface CacheEvent {
+    type: 'hit' | 'miss' | 'stale' | 'revalidation' | 'eviction' | 'dedup';
+    key: string;
+    method: string;
+    url: string;
+    params: Record<string, any>;
+}
+
+export interface CacheCounters {
+    hits: number;
+    misses: number;
+    staleHits: number;
+    revalidations: number;
+    evictions: number;
+    dedupJoins: number;
+    hitRatio: number;
 }
 
 export interface RetryOptions {
     attempts?: number;
     delay?: number | ((attempt: number) => number);
-    condition?: (error: Error) => boolean;
+    condition?: (error: Error, config: RequestConfig, attempt: number) => boolean;
+    /** Called before each retry wait */
+    onRetry?: (error: Error, attempt: number, delay: number, config: RequestConfig) => void;
     respectRetryAfter?: boolean;
+    /** Longest Retry-After wait honoured, in ms (default 30000) */
+    maxRetryAfter?: number;
+    /** Throw instead of retrying when Retry-After exceeds maxRetryAfter */
+    failFastOnRetryAfter?: boolean;
+    /** Methods the default condition retries (default: GET, HEAD, PUT, DELETE, OPTIONS) */
+    methods?: string[];
+    /** Cap retries across the instance; `true` uses the defaults */
+    budget?: boolean | RetryBudgetOptions;
+}
+
+export interface RetryBudgetOptions {
+    /** Retries allowed per recent request, default 0.2 */
+    ratio?: number;
+    /** Retries always allowed per second of the window, default 1 */
+    minPerSecond?: number;
+    /** Rolling window in ms, default 10000 */
+    window?: number;
+}
+
+export interface IdempotencyOptions {
+    /** Header name, default 'Idempotency-Key' */
+    header?: string;
+    /** Methods that get a key, default POST and PATCH */
+    methods?: string[];
+    /** Default: crypto.randomUUID() */
+    generate?: (config: RequestConfig) => string;
+}
+
+export interface RetryStats {
+    requests: number;
+    retries: number;
+    allowed: number;
+    /** Retries refused because the budget was spent */
+    exhausted: number;
+    ratio: number;
+    minPerSecond: number;
+    window: number;
 }
 
 export interface CircuitBreakerOptions {
     failureThreshold?: number;
     resetTimeout?: number;
-    fallback?: () => any;
+    /** Answers short-circuited requests; plain values become the response data */
+    fallback?: (config: RequestConfig, lastError: Error | null) => any;
+    onStateChange?: (from: CircuitState, to: CircuitState, stats: BreakerStats) => void;
+    /** Trip on failures in a row (default) or on the failure rate over a rolling window */
+    policy?: 'consecutive' | 'rate';
+    /** Rolling window in ms ('time', default 60000) or in calls ('count', default 100) */
+    windowType?: 'time' | 'count';
+    windowSize?: number;
+    /** Rate policy: failure ratio (0-1) that trips the breaker, default 0.5 */
+    failureRateThreshold?: number;
+    /** Rate policy: calls needed in the window before it can trip, default 10 */
+    minimumRequests?: number;
+    /** Calls slower than this (ms) count as failures */
+    slowCallThreshold?: number;
+    /** Probe requests let through while half-open, default 1 */
+    halfOpenRequests?: number;
+    /** Share of probes (0-1) that must succeed to close, default 1 */
+    halfOpenSuccessRatio?: number;
+    /** resetTimeout is multiplied by this after every failed recovery, default 1 */
+    backoffMultiplier?: number;
+    maxResetTimeout?: number;
+    /** Polled while open instead of probing with user requests; a URL is fetched with GET */
+    healthCheck?: string | (() => any);
+    /**
+     * Persist breaker state: 'memory' shares it across instances in this process, 'localStorage' /
+     * 'indexedDB' across tabs and reloads, 'file' across Node restarts; or any store with get/set
+     */
+    store?: 'memory' | 'localStorage' | 'indexedDB' | 'file' | { get(key: string): any; set(key: string, value: any): any };
+    /** Namespace for stored state; only breakers with the same name share it. Defaults to baseUrl */
+    name?: string;
+    /** How long (ms) state read from the store is trusted before it is read again, default 1000 */
+    syncInterval?: number;
+    /** One breaker for everything (default), one per origin, per named route, or per custom key */
+    scope?: 'global' | 'origin' | 'route' | ((url: string, config: RequestConfig) => string);
+    /** Route scope: breaker name -> URL pattern; unmatched URLs use the 'default' breaker */
+    routes?: Record<string, RegExp | string>;
+    /** Threshold overrides by breaker key */
+    breakers?: Record<string, Omit<CircuitBreakerOptions, 'scope' | 'routes' | 'breakers' | 'name'>>;
+}
+
+export interface ConcurrencyOptions {
+    /** Requests in flight at once for the whole instance */
+    maxConcurrent?: number;
+    /** Requests in flight at once per origin */
+    maxConcurrentPerOrigin?: number;
+    /** Requests allowed to wait for a slot; more throw QueueFullError (default unlimited) */
+    maxQueue?: number;
+    /** ms a request may wait for a slot before failing with TimeoutError */
+    queueTimeout?: number;
+    /** ms of waiting that count as one priority level, so low-priority work isn't starved (default 5000, 0 = off) */
+    priorityAging?: number;
+}
+
+export interface RateLimitBucket {
+    /** `requests` per `per` ms (default 1000), up to `burst` at once (default `requests`) */
+    requests: number;
+    per?: number;
+    burst?: number;
+}
+
+export interface RateLimitOptions extends Partial<RateLimitBucket> {
+    /** Extra buckets for matching URLs (first match), on top of the instance-wide one */
+    routes?: Array<RateLimitBucket & { url: string | RegExp }>;
+    /** Follow RateLimit-Remaining / RateLimit-Reset (and X-RateLimit-*) response headers */
+    adaptive?: boolean;
 }
 
 export interface ServiceOptions {
@@ -48,7 +279,11 @@ export interface ServiceOptions {
     headers?: Record<string, string>;
     cache?: CacheOptions;
     retry?: RetryOptions;
+    /** Send one key per POST/PATCH so retries are safe; `true` uses the defaults */
+    idempotency?: boolean | IdempotencyOptions;
     circuitBreaker?: CircuitBreakerOptions;
+    concurrency?: ConcurrencyOptions;
+    rateLimit?: RateLimitOptions;
     maxRequestSize?: number;
     maxResponseSize?: number;
 }
@@ -57,28 +292,79 @@ export interface Interceptors {
     request?: (config: RequestConfig) => RequestConfig | Promise<RequestConfig>;
     response?: <T>(response: HttpResponse<T>) => HttpResponse<T> | Promise<HttpResponse<T>>;
     error?: (error: Error) => Error | Promise<Error> | never;
+    /** Return a number to change the retry delay, or false to give up */
+    retry?: (error: Error, attempt: number, delay: number, config: RequestConfig) =>
+        number | false | void | Promise<number | false | void>;
 }
 
-export interface CacheStats {
+export interface CacheStats extends CacheCounters {
     size: number;
     maxSize: number;
+    bytes: number;
+    maxBytes: number;
     ttl: number;
     pending: number;
     etags: number;
+    store: string;
+    byPattern: Record<string, CacheCounters>;
 }
 
-export interface CircuitBreakerStats {
-    state: 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+export type CircuitState = 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+
+export interface BreakerStats {
+    key: string;
+    state: CircuitState;
+    policy: 'consecutive' | 'rate';
     failures: number;
     successes: number;
+    slowCalls: number;
+    failureRate: number;
+    windowCalls: number;
+    resetTimeout: number;
+    nextProbeIn: number;
     isHealthy: boolean;
 }
 
+export interface CircuitBreakerStats extends BreakerStats {
+    breakers: Record<string, BreakerStats>;
+}
+
+export interface QueueStats {
+    active: number;
+    queued: number;
+    maxConcurrent: number;
+    maxConcurrentPerOrigin: number;
+    maxQueue: number;
+    rejected: number;
+    timedOut: number;
+    aborted: number;
+    byOrigin: Record<string, { active: number; queued: number }>;
+}
+
+export interface RateLimitStats {
+    /** Tokens available in the instance-wide bucket (null when it only follows server headers) */
+    tokens?: number | null;
+    /** ms until the server allows requests again */
+    blockedFor?: number;
+    routes: Record<string, { tokens: number | null; blockedFor: number }>;
+}
+
 export class HttpError extends Error {
     name: 'HttpError';
     status: number;
     url: string;
     response: Response;
+    /** Set when a retry was skipped because the retry budget was spent */
+    retryBudgetExhausted?: boolean;
+    /** Key sent with the request, see `idempotency` */
+    idempotencyKey?: string;
+    /** Wait requested by Retry-After on a 429/503, in ms */
+    retryAfter?: number;
+    /** Attempts made before giving up */
+    attempts?: number;
+    totalDuration?: number;
+    /** Errors of the failed attempts before this one */
+    errors?: Error[];
 
     constructor(message: string, status: number, url: string, response: Response);
 }
@@ -86,6 +372,11 @@ export class HttpError extends Error {
 export class NetworkError extends Error {
     name: 'NetworkError';
     url: string;
+    retryBudgetExhausted?: boolean;
+    idempotencyKey?: string;
+    attempts?: number;
+    totalDuration?: number;
+    errors?: Error[];
 
     constructor(message: string, url: string);
 }
@@ -94,18 +385,105 @@ export class TimeoutError extends Error {
     name: 'TimeoutError';
     url: string;
     timeout: number;
+    retryBudgetExhausted?: boolean;
+    idempotencyKey?: string;
+    attempts?: number;
+    totalDuration?: number;
+    errors?: Error[];
 
     constructor(url: string, timeout: number);
 }
 
+export class MemoryStore implements CacheStore {
+    name: 'memory';
+
+    constructor();
+    get(key: string): CacheEntry | undefined;
+    set(key: string, entry: CacheEntry): void;
+    delete(key: string): void;
+    keys(): string[];
+    clear(): void;
+}
+
+export class LocalStorageStore implements CacheStore {
+    name: 'localStorage';
+    prefix: string;
+    storage: Storage;
+
+    constructor(options?: { prefix?: string; storage?: Storage });
+    get(key: string): CacheEntry | undefined;
+    set(key: string, entry: CacheEntry): void;
+    delete(key: string): void;
+    keys(): string[];
+    clear(): void;
+}
+
+export class IndexedDBStore implements CacheStore {
+    name: 'indexedDB';
+    dbName: string;
+    storeName: string;
+
+    constructor(options?: { dbName?: string; storeName?: string });
+    get(key: string): Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    clear(): Promise<void>;
+}
+
+export class FileStore implements CacheStore {
+    name: 'file';
+    dir: string;
+
+    constructor(options?: { dir?: string });
+    get(key: string): Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    clear(): Promise<void>;
+}
+
+export class CircuitOpenError extends Error {
+    name: 'CircuitOpenError';
+    /** Breaker key ('default', an origin, a route name or a custom key) */
+    key: string;
+    state: CircuitState;
+    /** Milliseconds until the breaker lets a probe through */
+    nextProbeIn: number;
+    lastError: Error | null;
+    url: string;
+
+    constructor(key: string, state: CircuitState, nextProbeIn: number, lastError: Error | null, url: string);
+}
+
+export class QueueFullError extends Error {
+    name: 'QueueFullError';
+    url: string;
+    maxQueue: number;
+
+    constructor(url: string, maxQueue: number);
+}
+
+export class CacheMissError extends Error {
+    name: 'CacheMissError';
+    url: string;
+
+    constructor(url: string);
+}
+
 export class Grab {
     baseUrl: string;
     timeout: number;
     defaultHeaders: Record<string, string>;
     retryAttempts: number;
     retryDelay: number | ((attempt: number) => number);
-    retryCondition: (error: Error) => boolean;
+    retryCondition: (error: Error, config: RequestConfig, attempt: number) => boolean;
     respectRetryAfter: boolean;
+    maxRetryAfter: number;
+    failFastOnRetryAfter: boolean;
+    retryMethods: string[];
+    onRetry: ((error: Error, attempt: number, delay: number, config: RequestConfig) => void) | null;
+    idempotency: Required<IdempotencyOptions> | null;
     maxRequestSize: number;
     maxResponseSize: number;
 
@@ -131,13 +509,25 @@ export class Grab {
 
     // Cache management
     clearCache(): void;
-    invalidateCache(pattern: string | RegExp): number;
+    /** Number of entries removed; persisted entries still loading after a reload are dropped once read */
+    invalidateCache(pattern: string | RegExp | ((entry: CacheEntryInfo) => boolean)): number;
+    invalidateCacheTags(tags: string | string[]): number;
     getCacheStats(): CacheStats;
+    resetCacheStats(): void;
+    exportCache(options?: ExportCacheOptions): Promise<CacheSnapshot>;
+    hydrateCache(snapshot: CacheSnapshot): Promise<number>;
 
     // Circuit breaker
     getCircuitBreakerStats(): CircuitBreakerStats;
-    resetCircuitBreaker(): void;
-    isHealthy(): boolean;
+    resetCircuitBreaker(key?: string): void;
+    isHealthy(key?: string): boolean;
+
+    // Retries
+    getRetryStats(): RetryStats | null;
+
+    // Concurrency
+    getQueueStats(): QueueStats | null;
+    getRateLimitStats(): RateLimitStats | null;
 
     // Instance creation
     create(options: ServiceOptions): Grab;
@@ -148,7 +538,11 @@ export class Grab {
 
     // Internal retry methods
     defaultRetryDelay(attempt: number): number;
-    defaultRetryCondition(error: Error): boolean;
+    defaultRetryCondition(error: Error, config?: RequestConfig, attempt?: number): boolean;
+    isRetryableMethod(config: RequestConfig): boolean;
+    withIdempotencyKey(config: RequestConfig): RequestConfig;
+    retryPolicy(config: RequestConfig): Pick<Grab, 'retryAttempts' | 'retryDelay' | 'retryCondition'>;
+    nextRetryDelay(error: Error, attempt: number, config: RequestConfig, policy: Pick<Grab, 'retryAttempts' | 'retryDelay' | 'retryCondition'>, url: string | null): Promise<number | null>;
 }
 
 // Export as default for CommonJS compatibility
@@ -157,6 +551,13 @@ declare const _default: {
     HttpError: typeof HttpError;
     NetworkError: typeof NetworkError;
     TimeoutError: typeof TimeoutError;
+    CircuitOpenError: typeof CircuitOpenError;
+    QueueFullError: typeof QueueFullError;
+    CacheMissError: typeof CacheMissError;
+    MemoryStore: typeof MemoryStore;
+    LocalStorageStore: typeof LocalStorageStore;
+    IndexedDBStore: typeof IndexedDBStore;
+    FileStore: typeof FileStore;
 };
 
 export default _default;
\ No newline at end of file
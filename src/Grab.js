@@ -23,12 +23,250 @@ const CIRCUIT_OPEN = 'OPEN';
 const CIRCUIT_HALF_OPEN = 'HALF_OPEN';
 
 const AUTH_HEADERS = ['authorization', 'x-api-key', 'cookie'];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const NO_ERRORS = Object.freeze([]);
+const NO_SLOT = () => {};
+// Cache hits made no network attempts - don't report the ones of the original fetch
+const FROM_CACHE = Object.freeze({ fromCache: true, attempts: 0, totalDuration: 0, errors: NO_ERRORS });
+const SNAPSHOT_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'expires', 'vary'];
 const CACHE_SEP = '\x00';
+
+// Cache decision -> stats counter
+const CACHE_COUNTERS = {
+    hit: 'hits',
+    miss: 'misses',
+    stale: 'staleHits',
+    revalidation: 'revalidations',
+    eviction: 'evictions',
+    dedup: 'dedupJoins',
+};
 const DEFAULT_TIMEOUT = 30000;
 const DEFAULT_RETRY_ATTEMPTS = 3;
 const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
 const MAX_BACKOFF = 30000;
 const MAX_PUSH_HINTS = 1000;
+const MAX_BREAKERS = 1000;
+const DEFAULT_BREAKER = 'default';
+
+/**
+ * Cache stores - where HttpCache keeps its entries
+ *
+ * A store implements get/set/delete/keys/clear; any of them may return a promise.
+ */
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.map = new Map();
+    }
+
+    get(key) {
+        return this.map.get(key);
+    }
+
+    set(key, entry) {
+        this.map.set(key, entry);
+    }
+
+    delete(key) {
+        this.map.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.map.keys());
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+/**
+ * localStorage store - survives page reloads
+ */
+class LocalStorageStore {
+    constructor(options = {}) {
+        this.name = 'localStorage';
+        this.prefix = options.prefix || 'grab:';
+        this.storage = options.storage || globalThis.localStorage;
+    }
+
+    get(key) {
+        const raw = this.storage.getItem(this.prefix + key);
+        if (raw == null) return undefined;
+
+        try {
+            return fromRecord(JSON.parse(raw));
+        } catch {
+            return undefined;
+        }
+    }
+
+    set(key, entry) {
+        const record = toRecord(entry);
+        if (!record) return;
+
+        try {
+            this.storage.setItem(this.prefix + key, JSON.stringify(record));
+        } catch {
+            // Quota exceeded - the entry just won't be persisted
+        }
+    }
+
+    delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    clear() {
+        this.keys().forEach(key => this.delete(key));
+    }
+}
+
+/**
+ * IndexedDB store - larger quota than localStorage, async by nature
+ */
+class IndexedDBStore {
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.dbName = options.dbName || 'grab-cache';
+        this.storeName = options.storeName || 'entries';
+        this._db = null;
+    }
+
+    async get(key) {
+        return fromRecord(await this._run('readonly', store => store.get(key)));
+    }
+
+    set(key, entry) {
+        const record = toRecord(entry);
+        if (!record) return;
+        return this._run('readwrite', store => store.put(record, key));
+    }
+
+    delete(key) {
+        return this._run('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this._run('readonly', store => store.getAllKeys());
+    }
+
+    clear() {
+        return this._run('readwrite', store => store.clear());
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    async _run(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const request = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * File store - one JSON file per entry in a directory (Node only)
+ */
+class FileStore {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.dir = options.dir || '.grab-cache';
+        this._modules = null;
+    }
+
+    async get(key) {
+        const { fs } = await this._load();
+        try {
+            const { entry } = JSON.parse(await fs.readFile(await this._path(key), 'utf8'));
+            return fromRecord(entry);
+        } catch {
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        const record = toRecord(entry);
+        if (!record) return;
+
+        const { fs } = await this._load();
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(await this._path(key), JSON.stringify({ key, entry: record }));
+    }
+
+    async delete(key) {
+        const { fs } = await this._load();
+        await fs.rm(await this._path(key), { force: true });
+    }
+
+    async keys() {
+        const { fs } = await this._load();
+        const keys = [];
+        for (const file of await this._files()) {
+            try {
+                keys.push(JSON.parse(await fs.readFile(`${this.dir}/${file}`, 'utf8')).key);
+            } catch {
+                // Unreadable or half-written file - skip it
+            }
+        }
+        return keys;
+    }
+
+    async clear() {
+        const { fs } = await this._load();
+        for (const file of await this._files()) {
+            await fs.rm(`${this.dir}/${file}`, { force: true });
+        }
+    }
+
+    _load() {
+        if (!this._modules) {
+            this._modules = Promise.all([import('node:fs/promises'), import('node:crypto')])
+                .then(([fs, crypto]) => ({ fs, crypto }));
+        }
+        return this._modules;
+    }
+
+    async _path(key) {
+        const { crypto } = await this._load();
+        return `${this.dir}/${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+    }
+
+    async _files() {
+        const { fs } = await this._load();
+        try {
+            return (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        } catch {
+            return [];
+        }
+    }
+}
+
+// Process-wide circuit breaker state for circuitBreaker: { store: 'memory' }
+const sharedBreakerStore = new MemoryStore();
 
 /**
  * HTTP Cache with ETags and auth-aware keys
@@ -36,246 +274,1246 @@ const MAX_PUSH_HINTS = 1000;
  */
 class HttpCache {
     constructor(options = {}) {
-        this.cache = new Map();
+        this.store = options.store || new MemoryStore();
         this.ttl = options.ttl || DEFAULT_CACHE_TTL;
         this.maxSize = options.maxSize || 100;
+        this.maxBytes = options.maxBytes || 0;
+        this.maxEntryBytes = options.maxEntryBytes || 0;
         this.authHeaders = options.authHeaders || AUTH_HEADERS;
+        this.respectHeaders = options.respectHeaders || false;
+        this.invalidationRules = options.invalidationRules || [];
+        this.statsPatterns = options.statsPatterns || {};
+        this.onEvent = options.onEvent || null;
+
+        // How long past expiry an entry may still be served (ms, Infinity = until evicted)
+        this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+        this.staleIfError = options.staleIfError || 0;
+
+        // Keys held by the store in LRU order, so eviction and stats stay synchronous
+        this.index = new Map();
+        this.bytes = 0;
+        this.pending = new Map();
+        this.etags = new Map();
+        this.revalidating = new Set();
+        this.vary = new Map();
+        this._cleanupScheduled = false;
+        this._loaded = null;
+        this._indexed = false;
+        this._deferred = []; // invalidations made while persisted entries were still being indexed
+
+        // Cross-tab sharing: cache writes, invalidations and in-flight requests
+        this.channel = null;
+        this.remotePending = new Map();
+        if (options.shareAcrossTabs && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(options.shareAcrossTabs);
+            this.channel.onmessage = (event) => this._receive(event.data);
+
+            // Don't keep Node processes alive just to listen
+            this._holdChannel();
+        }
+
+        this.resetStats();
+
+        // Index persisted entries right away, so stats are right before the first request
+        this.load();
+    }
+
+    /**
+     * Generate a cache key with auth awareness to prevent data leakage
+     */
+    key(method, url, params = {}, headers = {}) {
+        const base = this.baseKey(method, url, params, headers);
+
+        // Request headers the server said the response varies on
+        const vary = this.vary.get(base);
+        if (!vary) return base;
+        return base + CACHE_SEP + JSON.stringify(vary.map(name => findHeader(headers, name) || ''));
+    }
+
+    baseKey(method, url, params = {}, headers = {}) {
+        const parts = [method, url];
+
+        // Add params if present
+        parts.push(Object.keys(params).length ? JSON.stringify(params) : '');
+
+        // Auth header values, so different users never share entries - digested,
+        // since keys end up in localStorage, on disk and in exported snapshots
+        const authHeaders = {};
+        this.authHeaders.forEach(name => {
+            const value = findHeader(headers, name);
+            if (value) authHeaders[name] = value;
+        });
+
+        parts.push(Object.keys(authHeaders).length ? digest(JSON.stringify(authHeaders)) : '');
+        return parts.join(CACHE_SEP);
+    }
+
+    /**
+     * Remember a response's Vary header names and return the key that includes them
+     */
+    varyOn(method, url, params = {}, headers = {}, names = []) {
+        // Prevent vary map from growing too large
+        if (this.vary.size > 1000) {
+            this.vary.delete(this.vary.keys().next().value);
+        }
+        const base = this.baseKey(method, url, params, headers);
+        this.vary.set(base, names);
+        this._broadcast({ type: 'vary', base, names });
+        return this.key(method, url, params, headers);
+    }
+
+    getPending(key) {
+        return this.pending.get(key);
+    }
+
+    track(key, promise) {
+        const done = () => this.pending.delete(key);
+        this.pending.set(key, promise);
+        promise.then(done, done);
+    }
+
+    /**
+     * Index entries the store already holds (e.g. from a previous page load)
+     */
+    load() {
+        if (!this._loaded) {
+            this._loaded = bestEffort(async () => {
+                const now = Date.now();
+                for (const key of await this.store.keys() || []) {
+                    if (this.index.has(key)) continue;
+
+                    const entry = await this.store.get(key);
+                    if (!entry || this._isDead(entry, now)) {
+                        await this.store.delete(key);
+                        continue;
+                    }
+
+                    const { data, ...meta } = entry;
+                    this.index.set(key, meta);
+                    this.bytes += meta.size || 0;
+                    if (entry.etag) this.etags.set(key, entry.etag);
+                }
+
+                this._deferred.forEach(matches => this._drop(matches));
+
+                while (this.index.size > this.maxSize || (this.maxBytes && this.bytes > this.maxBytes)) {
+                    const oldestKey = this.index.keys().next().value;
+                    this.record('eviction', oldestKey);
+                    await this.delete(oldestKey);
+                }
+            }).then(() => {
+                this._indexed = true;
+                this._deferred = [];
+            });
+        }
+        return this._loaded;
+    }
+
+    async set(key, data, { ttl = null, etag = null, lastModified = null, mustRevalidate = false, tags = [], broadcast = true } = {}) {
+        await this.load();
+
+        // Too big to be worth caching (or to fit at all)
+        const size = sizeOf(data.data);
+        if ((this.maxEntryBytes && size > this.maxEntryBytes) || (this.maxBytes && size > this.maxBytes)) {
+            if (this.index.has(key)) await this.delete(key);
+            return;
+        }
+
+        // LRU eviction
+        if (this.index.size >= this.maxSize && !this.index.has(key)) {
+            const oldestKey = this.index.keys().next().value;
+            this.record('eviction', oldestKey);
+            this.delete(oldestKey);
+        }
+
+        // Evict by bytes until the new entry fits
+        const previousSize = this.index.get(key)?.size || 0;
+        while (this.maxBytes && this.bytes - previousSize + size > this.maxBytes) {
+            const oldestKey = Array.from(this.index.keys()).find(k => k !== key);
+            if (oldestKey === undefined) break;
+            this.record('eviction', oldestKey);
+            this.delete(oldestKey);
+        }
+
+        const meta = {
+            expires: Date.now() + (ttl ?? this.ttl),
+            etag,
+            lastModified,
+            mustRevalidate,
+            tags,
+            size
+        };
+
+        this.bytes += size - (this.index.get(key)?.size || 0);
+        this.index.set(key, meta);
+        if (etag) this.etags.set(key, etag);
+
+        this._scheduleCleanup();
+        await bestEffort(() => this.store.set(key, { data, ...meta }));
+
+        const record = broadcast && this.channel && toRecord({ data, ...meta });
+        if (record) this._broadcast({ type: 'set', key, entry: record });
+    }
+
+    async get(key) {
+        await this.load();
+
+        const meta = this.index.get(key);
+        if (!meta) return null;
+
+        if (Date.now() > meta.expires) {
+            // Expired entries are kept while they may still be served stale
+            if (this._isDead(meta, Date.now())) this.delete(key);
+            return null;
+        }
+
+        const entry = await bestEffort(() => this.store.get(key));
+        if (!entry) {
+            this.delete(key);
+            return null;
+        }
+
+        // LRU: move to end
+        this.index.delete(key);
+        this.index.set(key, meta);
+
+        return { ...entry.data, ...FROM_CACHE };
+    }
+
+    /**
+     * Get an expired entry if it's no more than `window` ms past expiry
+     */
+    async getStale(key, window) {
+        const meta = this.index.get(key);
+        if (!meta || !window || meta.mustRevalidate || Date.now() > meta.expires + window) return null;
+
+        const entry = await bestEffort(() => this.store.get(key));
+        if (!entry) {
+            this.delete(key);
+            return null;
+        }
+
+        return { ...entry.data, ...FROM_CACHE, stale: true };
+    }
+
+    etag(key) {
+        return this.etags.get(key);
+    }
+
+    /**
+     * Conditional request headers for a stored entry
+     */
+    validators(key) {
+        const headers = {};
+        const etag = this.etags.get(key);
+        const lastModified = this.index.get(key)?.lastModified;
+
+        if (etag) headers['If-None-Match'] = etag;
+        if (lastModified) headers['If-Modified-Since'] = lastModified;
+        return headers;
+    }
+
+    /**
+     * Does a 304's validator identify the stored entry?
+     * Strong ETags compare exactly, weak ones ignore the W/ prefix.
+     */
+    matches(key, headers) {
+        const meta = this.index.get(key);
+        if (!meta) return false;
+
+        const etag = headers.get('etag');
+        if (etag) {
+            if (!meta.etag) return false;
+            return etag.startsWith('W/')
+                ? opaqueTag(etag) === opaqueTag(meta.etag)
+                : etag === meta.etag;
+        }
+
+        const lastModified = headers.get('last-modified');
+        if (lastModified) return lastModified === meta.lastModified;
+
+        // No validator in the 304 - it can only mean what we asked about
+        return true;
+    }
+
+    async refresh(key, ttl = null) {
+        const meta = this.index.get(key);
+        const entry = meta && await bestEffort(() => this.store.get(key));
+        if (entry) {
+            entry.expires = meta.expires = Date.now() + (ttl ?? this.ttl);
+            await bestEffort(() => this.store.set(key, entry));
+        }
+    }
+
+    delete(key) {
+        this.bytes -= this.index.get(key)?.size || 0;
+        this.index.delete(key);
+        this.etags.delete(key);
+        return bestEffort(() => this.store.delete(key));
+    }
+
+    clear(broadcast = true) {
+        if (broadcast) this._broadcast({ type: 'clear' });
+
+        this.index.clear();
+        this.bytes = 0;
+        this.pending.clear();
+        this.etags.clear();
+        this.revalidating.clear();
+        this.vary.clear();
+        this._loaded = bestEffort(() => this.store.clear());
+    }
+
+    /**
+     * Invalidate by regex over raw keys, or by predicate over describe()'d entries.
+     * Returns how many indexed entries were dropped; persisted entries still being
+     * indexed after a reload are dropped as soon as they are read.
+     */
+    invalidate(pattern) {
+        const regex = typeof pattern === 'string' ? new RegExp(pattern) : pattern;
+        const matches = typeof pattern === 'function'
+            ? (key) => pattern(this.describe(key))
+            : (key) => regex.test(key);
+
+        if (!this._indexed) this._deferred.push(matches);
+        return this._drop(matches);
+    }
+
+    _drop(matches) {
+        const keys = Array.from(this.index.keys()).filter(matches);
+
+        keys.forEach(key => this.delete(key));
+        if (keys.length) this._broadcast({ type: 'delete', keys });
+        return keys.length;
+    }
+
+    invalidateTags(tags) {
+        const wanted = [].concat(tags);
+        return this.invalidate(entry => entry.tags.some(tag => wanted.includes(tag)));
+    }
+
+    /**
+     * Apply invalidation rules after a successful mutation
+     */
+    invalidateFor(method, url, config = {}) {
+        let count = 0;
+
+        for (const rule of this.invalidationRules) {
+            if (!rule.methods.includes(method)) continue;
+
+            const match = url.match(rule.url);
+            if (!match) continue;
+
+            if (rule.tags) {
+                count += this.invalidateTags(typeof rule.tags === 'function' ? rule.tags(match, config) : rule.tags);
+            }
+            if (rule.invalidate) {
+                count += this.invalidate(entry => rule.invalidate(entry, match, config));
+            }
+            if (!rule.tags && !rule.invalidate) {
+                // Plain rule: drop GETs under the same URL pattern
+                count += this.invalidate(entry => entry.method === 'GET' && rule.url.test(entry.url));
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Structured view of a cache key: { method, url, params, tags, authenticated }
+     */
+    describe(key) {
+        const [method, url, params, auth] = key.split(CACHE_SEP);
+        return {
+            method,
+            url,
+            params: params ? JSON.parse(params) : {},
+            tags: this.index.get(key)?.tags || [],
+            authenticated: !!auth
+        };
+    }
+
+    /**
+     * Serializable copy of the cache (e.g. to embed in server-rendered HTML)
+     * Auth-keyed entries are left out unless includeAuth is set.
+     */
+    async snapshot({ includeAuth = false, headers = SNAPSHOT_HEADERS } = {}) {
+        await this.load();
+
+        const entries = [];
+        for (const key of Array.from(this.index.keys())) {
+            if (!includeAuth && this.describe(key).authenticated) continue;
+
+            const entry = await bestEffort(() => this.store.get(key));
+            const record = entry && toRecord(entry);
+            if (!record) continue;
+
+            record.data.headers = record.data.headers.filter(([name]) => headers.includes(name.toLowerCase()));
+            entries.push({ key, ...record });
+        }
+
+        const vary = Array.from(this.vary.entries())
+            .filter(([base]) => includeAuth || !base.split(CACHE_SEP)[3]);
+
+        return { version: 1, entries, vary };
+    }
+
+    /**
+     * Load a snapshot() - returns the number of entries restored
+     */
+    async hydrate(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.entries)) return 0;
+
+        (snapshot.vary || []).forEach(([base, names]) => this.vary.set(base, names));
+
+        let count = 0;
+        for (const { key, ...record } of snapshot.entries) {
+            const entry = fromRecord(record);
+            if (!entry || this._isDead(entry, Date.now())) continue;
+
+            await this._restore(key, entry, true);
+            count++;
+        }
+        return count;
+    }
+
+    stats() {
+        return {
+            size: this.index.size,
+            maxSize: this.maxSize,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            pending: this.pending.size,
+            etags: this.etags.size,
+            store: this.store.name || 'custom',
+            ...withHitRatio(this.counters),
+            byPattern: Object.fromEntries(
+                Object.entries(this.countersByPattern).map(([name, counters]) => [name, withHitRatio(counters)])
+            ),
+        };
+    }
+
+    resetStats() {
+        this.counters = emptyCounters();
+        this.countersByPattern = {};
+        Object.keys(this.statsPatterns).forEach(name => {
+            this.countersByPattern[name] = emptyCounters();
+        });
+    }
+
+    /**
+     * Count a cache decision and report it to the onEvent hook
+     */
+    record(type, key) {
+        const counter = CACHE_COUNTERS[type];
+        this.counters[counter]++;
+
+        // Only pay for parsing the key when someone is listening
+        if (!this.onEvent && !Object.keys(this.statsPatterns).length) return;
+
+        const { method, url, params } = this.describe(key);
+        for (const [name, pattern] of Object.entries(this.statsPatterns)) {
+            if (pattern.test(url)) this.countersByPattern[name][counter]++;
+        }
+
+        if (this.onEvent) notify(this.onEvent, { type, key, method, url, params });
+    }
+
+    /**
+     * Tell other tabs we're fetching `key`, and when we're done
+     */
+    announce(key) {
+        this._broadcast({ type: 'pending', key });
+    }
+
+    settle(key) {
+        this._broadcast({ type: 'done', key });
+    }
+
+    /**
+     * Promise for another tab's in-flight request for `key`, or null
+     */
+    waitForRemote(key) {
+        return this.remotePending.get(key)?.promise || null;
+    }
+
+    _broadcast(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage(message);
+        } catch {
+            // Uncloneable entry or closed channel - other tabs just won't hear about it
+        }
+    }
+
+    /**
+     * Anything can post to the channel (other versions, other code) - ignore malformed messages
+     */
+    _receive(message) {
+        if (!message || typeof message !== 'object') return;
+
+        const { type, key } = message;
+        if (['set', 'pending', 'done'].includes(type) && typeof key !== 'string') return;
+
+        if (type === 'set') {
+            const entry = message.entry;
+            if (!isObject(entry) || !isObject(entry.data) || !isNum(entry.expires)) return;
+            if (entry.tags != null && !Array.isArray(entry.tags)) return;
+
+            this._restore(key, fromRecord(entry), false)
+                .catch(() => {})
+                .then(() => this._resolveRemote(key));
+        } else if (type === 'delete') {
+            if (!Array.isArray(message.keys)) return;
+            message.keys.filter(k => typeof k === 'string').forEach(k => this.delete(k));
+        } else if (type === 'clear') {
+            this.clear(false);
+        } else if (type === 'vary') {
+            if (typeof message.base !== 'string' || !Array.isArray(message.names)) return;
+            this.vary.set(message.base, message.names);
+        } else if (type === 'pending') {
+            if (this.remotePending.has(key)) return;
+
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            // Give up on tabs that were closed mid-request
+            const timer = setTimeout(() => this._resolveRemote(key), DEFAULT_TIMEOUT);
+            if (timer.unref) timer.unref();
+            this.remotePending.set(key, { promise, resolve, timer });
+            this._holdChannel();
+        } else if (type === 'done') {
+            this._resolveRemote(key);
+        }
+    }
+
+    /**
+     * Store an entry that was produced elsewhere (another tab, a snapshot)
+     */
+    _restore(key, entry, broadcast) {
+        return this.set(key, entry.data, {
+            ttl: entry.expires - Date.now(),
+            etag: entry.etag,
+            lastModified: entry.lastModified,
+            mustRevalidate: entry.mustRevalidate,
+            tags: entry.tags,
+            broadcast
+        });
+    }
+
+    _resolveRemote(key) {
+        const remote = this.remotePending.get(key);
+        if (!remote) return;
+
+        clearTimeout(remote.timer);
+        this.remotePending.delete(key);
+        this._holdChannel();
+        remote.resolve();
+    }
+
+    // Node: only keep the process alive while waiting on another tab
+    _holdChannel() {
+        if (!this.channel || !this.channel.unref) return;
+        if (this.remotePending.size) this.channel.ref();
+        else this.channel.unref();
+    }
+
+    _scheduleCleanup() {
+        if (this._cleanupScheduled) return;
+        this._cleanupScheduled = true;
+
+        const timer = setTimeout(() => {
+            this._cleanupScheduled = false;
+            this._cleanup();
+        }, 60000);
+
+        // Don't keep Node processes alive just to sweep the cache
+        if (timer.unref) timer.unref();
+    }
+
+    _cleanup() {
+        const now = Date.now();
+        for (const [key, meta] of Array.from(this.index.entries())) {
+            if (this._isDead(meta, now)) {
+                this.delete(key);
+            }
+        }
+    }
+
+    _isDead(meta, now) {
+        // Entries with a validator are kept past expiry so they can be revalidated with a 304
+        if (meta.etag || meta.lastModified) return false;
+        if (meta.mustRevalidate) return now > meta.expires;
+        return now > meta.expires + Math.max(this.staleWhileRevalidate, this.staleIfError);
+    }
+}
+
+/**
+ * Circuit breaker - fail fast when services are down
+ *
+ * 'consecutive' policy trips after failureThreshold failures in a row, 'rate' policy
+ * trips when the failure rate over a rolling time or count window crosses the threshold.
+ * With a store, state is persisted and picked up by every breaker with the same name and key.
+ */
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.key = options.key || DEFAULT_BREAKER;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 60000;
+        this.fallbackHandler = options.fallback || null;
+        this.onStateChange = options.onStateChange || null;
+
+        // Error-rate policy
+        this.policy = options.policy === 'rate' ? 'rate' : 'consecutive';
+        this.windowType = options.windowType === 'count' ? 'count' : 'time';
+        this.windowSize = options.windowSize || (this.windowType === 'count' ? 100 : 60000);
+        this.failureRateThreshold = options.failureRateThreshold || 0.5;
+        this.minimumRequests = options.minimumRequests || 10;
+        this.slowCallThreshold = options.slowCallThreshold || 0;
+
+        // Recovery
+        this.halfOpenRequests = options.halfOpenRequests || 1;
+        this.halfOpenSuccessRatio = options.halfOpenSuccessRatio || 1;
+        this.backoffMultiplier = options.backoffMultiplier || 1;
+        this.maxResetTimeout = options.maxResetTimeout || 3600000;
+        this.healthCheck = options.healthCheck || null;
+
+        // Persistence
+        this.store = options.store || null;
+        this.name = options.name || '';
+        this.syncInterval = options.syncInterval ?? 1000;
+        this.syncedAt = 0;
+        this.updatedAt = 0;
+
+        this.state = CIRCUIT_CLOSED;
+        this.failureCount = 0;
+        this.lastFailureTime = null;
+        this.lastError = null;
+        this.successCount = 0;
+        this.slowCallCount = 0;
+        this.reopenCount = 0;
+        this.probes = { sent: 0, succeeded: 0, failed: 0 };
+        this.outcomes = []; // [time, failed] - rate policy only
+        this._healthTimer = null;
+    }
+
+    /**
+     * Run fn through the breaker; `config` is handed to the fallback when short-circuited.
+     * fn may report its own latency in `network.duration` - otherwise the whole call is timed -
+     * and set `network.sent = false` while nothing has reached the service yet.
+     */
+    async call(fn, config = {}) {
+        // Re-reading the store on every request would cost a file or IndexedDB read each time
+        if (this.store && Date.now() - this.syncedAt >= this.syncInterval) await this.sync();
+
+        if (this.state === CIRCUIT_OPEN) {
+            // With a health check, only the check may close the circuit - no user request is sacrificed
+            if (!this.healthCheck && this.shouldReset()) {
+                this.probes = { sent: 0, succeeded: 0, failed: 0 };
+                this.transition(CIRCUIT_HALF_OPEN);
+            } else {
+                return this.fallback(config);
+            }
+        }
+
+        if (this.state === CIRCUIT_HALF_OPEN) {
+            if (this.probes.sent >= this.halfOpenRequests) {
+                return this.fallback(config);
+            }
+            this.probes.sent++;
+        }
+
+        const start = Date.now();
+        const network = { sent: null, duration: null };
+        try {
+            const result = await fn(network);
+            if (this.slowCallThreshold && (network.duration ?? Date.now() - start) > this.slowCallThreshold) {
+                // Too slow counts against the service even when it answered
+                this.slowCallCount++;
+                this.onFailure();
+            } else {
+                this.onSuccess();
+            }
+            return result;
+        } catch (error) {
+            // A full queue or an abort before anything went out says nothing about the service
+            if (network.sent !== false) {
+                this.onFailure(error);
+            } else if (this.state === CIRCUIT_HALF_OPEN) {
+                this.probes.sent--;
+            }
+            throw error;
+        }
+    }
+
+    onSuccess() {
+        const hadFailures = this.failureCount > 0;
+        this.failureCount = 0;
+        this.successCount++;
+        this.recordOutcome(false);
+        if (this.state === CIRCUIT_HALF_OPEN) {
+            this.probes.succeeded++;
+            this.settleProbes();
+        } else if (hadFailures) {
+            this.persist();
+        }
+    }
+
+    onFailure(error) {
+        this.failureCount++;
+        this.lastFailureTime = Date.now();
+        if (error) this.lastError = error;
+        this.recordOutcome(true);
+
+        if (this.state === CIRCUIT_HALF_OPEN) {
+            this.probes.failed++;
+            this.settleProbes();
+        } else if (this.state === CIRCUIT_CLOSED && this.shouldTrip()) {
+            this.open();
+        } else {
+            this.persist();
+        }
+    }
+
+    /**
+     * Close once enough probes succeeded, reopen (with backoff) once that can no longer happen
+     */
+    settleProbes() {
+        const needed = Math.ceil(this.halfOpenRequests * this.halfOpenSuccessRatio);
+        if (this.probes.succeeded >= needed) {
+            this.close();
+        } else if (this.probes.failed > this.halfOpenRequests - needed) {
+            this.reopenCount++;
+            this.open();
+        }
+    }
+
+    open() {
+        this.lastFailureTime = Date.now();
+        this.transition(CIRCUIT_OPEN);
+        this.scheduleHealthCheck();
+        this.persist();
+    }
+
+    close() {
+        this.failureCount = 0;
+        this.reopenCount = 0;
+        this.outcomes = [];
+        this.probes = { sent: 0, succeeded: 0, failed: 0 };
+        clearTimeout(this._healthTimer);
+        this._healthTimer = null;
+        this.transition(CIRCUIT_CLOSED);
+        this.persist();
+    }
+
+    /**
+     * Adopt state another breaker (instance, tab, worker, previous run) persisted since our last write
+     */
+    async sync() {
+        if (!this.store) return;
+
+        this.syncedAt = Date.now();
+        const record = await bestEffort(() => this.store.get(this.storeKey()));
+        if (!record || !(record.updatedAt > this.updatedAt)) return;
+
+        this.updatedAt = record.updatedAt;
+        this.failureCount = record.failureCount || 0;
+        this.lastFailureTime = record.lastFailureTime || null;
+        this.reopenCount = record.reopenCount || 0;
 
-        this.pending = new Map();
-        this.etags = new Map();
-        this._authCache = new Map();
-        this._cleanupScheduled = false;
+        if (record.state === CIRCUIT_OPEN) {
+            this.transition(CIRCUIT_OPEN);
+            this.scheduleHealthCheck();
+        } else {
+            this.probes = { sent: 0, succeeded: 0, failed: 0 };
+            this.transition(CIRCUIT_CLOSED);
+        }
     }
 
     /**
-     * Generate a cache key with auth awareness to prevent data leakage
+     * Half-open isn't persisted - every instance sends its own probes
      */
-    key(method, url, params = {}, headers = {}) {
-        const parts = [method, url];
+    persist() {
+        if (!this.store || this.state === CIRCUIT_HALF_OPEN) return;
 
-        // Add params if present
-        parts.push(Object.keys(params).length ? JSON.stringify(params) : '');
+        this.updatedAt = Math.max(Date.now(), this.updatedAt + 1);
+        bestEffort(() => this.store.set(this.storeKey(), {
+            state: this.state,
+            failureCount: this.failureCount,
+            lastFailureTime: this.lastFailureTime,
+            reopenCount: this.reopenCount,
+            updatedAt: this.updatedAt,
+        }));
+    }
 
-        // Cache auth header extraction for performance
-        const headerKeys = Object.keys(headers).sort().join(',');
-        let authStr = this._authCache.get(headerKeys);
+    storeKey() {
+        return this.name ? `circuit:${this.name}:${this.key}` : `circuit:${this.key}`;
+    }
 
-        if (authStr === undefined) {
-            const authHeaders = {};
-            this.authHeaders.forEach(name => {
-                const value = findHeader(headers, name);
-                if (value) authHeaders[name] = value;
-            });
-            authStr = Object.keys(authHeaders).length ? JSON.stringify(authHeaders) : '';
+    transition(to) {
+        const from = this.state;
+        if (from === to) return;
+        this.state = to;
+
+        if (this.onStateChange) notify(this.onStateChange, from, to, this.stats());
+    }
 
-            // Prevent auth cache from growing too large
-            if (this._authCache.size > 100) {
-                const firstKey = this._authCache.keys().next().value;
-                this._authCache.delete(firstKey);
+    scheduleHealthCheck() {
+        if (!this.healthCheck || this._healthTimer) return;
+
+        this._healthTimer = setTimeout(async () => {
+            this._healthTimer = null;
+            if (this.state !== CIRCUIT_OPEN) return;
+
+            let healthy;
+            try {
+                healthy = await this.healthCheck() !== false;
+            } catch {
+                healthy = false;
             }
-            this._authCache.set(headerKeys, authStr);
-        }
 
-        parts.push(authStr);
-        return parts.join(CACHE_SEP);
+            if (this.state !== CIRCUIT_OPEN) return;
+            if (healthy) {
+                this.close();
+            } else {
+                this.reopenCount++;
+                this.open();
+            }
+        }, this.currentResetTimeout());
+
+        // Polling must not keep a Node process alive
+        if (typeof this._healthTimer === 'object' && this._healthTimer.unref) this._healthTimer.unref();
     }
 
-    getPending(key) {
-        return this.pending.get(key);
+    /**
+     * resetTimeout grown by backoffMultiplier for every failed recovery attempt
+     */
+    currentResetTimeout() {
+        const timeout = this.resetTimeout * Math.pow(this.backoffMultiplier, this.reopenCount);
+        return Math.min(timeout, Math.max(this.resetTimeout, this.maxResetTimeout));
     }
 
-    track(key, promise) {
-        this.pending.set(key, promise);
-        promise.finally(() => this.pending.delete(key));
+    nextProbeIn() {
+        if (this.state !== CIRCUIT_OPEN) return 0;
+        return Math.max(0, this.lastFailureTime + this.currentResetTimeout() - Date.now());
     }
 
-    set(key, data, customTtl = null, etag = null) {
-        // LRU eviction
-        if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
-            this.etags.delete(oldestKey);
+    shouldTrip() {
+        if (this.policy === 'consecutive') {
+            return this.failureCount >= this.failureThreshold;
         }
+        return this.outcomes.length >= this.minimumRequests &&
+            this.failureRate() >= this.failureRateThreshold;
+    }
 
-        const entry = {
-            data,
-            expires: Date.now() + (customTtl || this.ttl),
-            etag
-        };
+    recordOutcome(failed) {
+        if (this.policy !== 'rate') return;
+        this.outcomes.push([Date.now(), failed]);
+        this.pruneWindow();
+    }
 
-        this.cache.set(key, entry);
-        if (etag) this.etags.set(key, etag);
+    pruneWindow() {
+        const drop = this.windowType === 'count'
+            ? this.outcomes.length - this.windowSize
+            : this.outcomes.findIndex(([time]) => time > Date.now() - this.windowSize);
 
-        this._scheduleCleanup();
+        if (drop < 0 && this.windowType === 'time') {
+            this.outcomes = [];
+        } else if (drop > 0) {
+            this.outcomes.splice(0, drop);
+        }
     }
 
-    get(key) {
-        const entry = this.cache.get(key);
-        if (!entry) return null;
+    failureRate() {
+        this.pruneWindow();
+        if (!this.outcomes.length) return 0;
+        return this.outcomes.filter(([, failed]) => failed).length / this.outcomes.length;
+    }
 
-        if (Date.now() > entry.expires) {
-            this.cache.delete(key);
-            this.etags.delete(key);
-            return null;
+    shouldReset() {
+        return Date.now() - this.lastFailureTime > this.currentResetTimeout();
+    }
+
+    /**
+     * Short-circuit: the fallback's answer as an HttpResponse, or CircuitOpenError without one
+     */
+    async fallback(config) {
+        if (!this.fallbackHandler) {
+            throw new CircuitOpenError(this.key, this.state, this.nextProbeIn(), this.lastError, config.url);
         }
 
-        // LRU: move to end
-        this.cache.delete(key);
-        this.cache.set(key, entry);
+        const result = await this.fallbackHandler(config, this.lastError);
+        return isResponseLike(result)
+            ? { ...result, fromFallback: true }
+            : {
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                headers: typeof Headers !== 'undefined' ? new Headers() : new Map(),
+                url: config.url || '',
+                data: result,
+                fromFallback: true,
+            };
+    }
 
-        return { ...entry.data, fromCache: true };
+    reset() {
+        this.close();
+        this.successCount = 0;
+        this.slowCallCount = 0;
+        this.lastFailureTime = null;
+        this.lastError = null;
     }
 
-    etag(key) {
-        return this.etags.get(key);
+    stats() {
+        return {
+            key: this.key,
+            state: this.state,
+            policy: this.policy,
+            failures: this.failureCount,
+            successes: this.successCount,
+            slowCalls: this.slowCallCount,
+            failureRate: this.failureRate(),
+            windowCalls: this.outcomes.length,
+            resetTimeout: this.currentResetTimeout(),
+            nextProbeIn: this.nextProbeIn(),
+            isHealthy: this.state === CIRCUIT_CLOSED && (this.policy === 'rate' || this.failureCount < this.failureThreshold),
+        };
     }
+}
 
-    refresh(key) {
-        const entry = this.cache.get(key);
-        if (entry) {
-            entry.expires = Date.now() + this.ttl;
-            this.cache.set(key, entry);
+/**
+ * Bulkhead - caps concurrent requests, overall and per origin, and queues the rest
+ *
+ * Queued requests start by priority, then in order. Every `priorityAging` ms spent
+ * waiting counts as one priority level, so low-priority work can't starve.
+ */
+class Bulkhead {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.maxConcurrentPerOrigin = options.maxConcurrentPerOrigin || Infinity;
+        this.maxQueue = options.maxQueue ?? Infinity;
+        this.queueTimeout = options.queueTimeout || 0;
+        this.priorityAging = options.priorityAging ?? 5000;
+
+        this.active = 0;
+        this.activeByOrigin = new Map();
+        this.queue = [];
+        this.counters = { rejected: 0, timedOut: 0, aborted: 0 };
+    }
+
+    /**
+     * Resolves with a release function once a slot is free
+     */
+    acquire(origin, { signal, url, priority } = {}) {
+        if (signal?.aborted) {
+            this.counters.aborted++;
+            return Promise.reject(abortError(signal));
+        }
+        if (this.canRun(origin)) {
+            return Promise.resolve(this.take(origin));
         }
+        if (this.queue.length >= this.maxQueue) {
+            this.counters.rejected++;
+            return Promise.reject(new QueueFullError(url, this.maxQueue));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                origin, resolve, signal, timer: null, onAbort: null,
+                priority: priorityRank(priority), queuedAt: Date.now()
+            };
+
+            const leave = (error, counter) => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                this.settle(entry);
+                this.counters[counter]++;
+                reject(error);
+            };
+
+            if (this.queueTimeout) {
+                entry.timer = setTimeout(() => leave(new TimeoutError(url, this.queueTimeout), 'timedOut'), this.queueTimeout);
+            }
+            if (signal) {
+                entry.onAbort = () => leave(abortError(signal), 'aborted');
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.queue.push(entry);
+        });
     }
 
-    clear() {
-        this.cache.clear();
-        this.pending.clear();
-        this.etags.clear();
-        this._authCache.clear();
+    canRun(origin) {
+        return this.active < this.maxConcurrent &&
+            (this.activeByOrigin.get(origin) || 0) < this.maxConcurrentPerOrigin;
     }
 
-    invalidate(pattern) {
-        const regex = typeof pattern === 'string' ? new RegExp(pattern) : pattern;
-        let count = 0;
+    take(origin) {
+        this.active++;
+        this.activeByOrigin.set(origin, (this.activeByOrigin.get(origin) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.release(origin);
+        };
+    }
+
+    release(origin) {
+        this.active--;
+        const count = this.activeByOrigin.get(origin) - 1;
+        if (count > 0) this.activeByOrigin.set(origin, count);
+        else this.activeByOrigin.delete(origin);
+        this.drain();
+    }
+
+    /**
+     * Start queued requests while there is room, skipping those whose origin is still at its limit
+     */
+    drain() {
+        while (this.active < this.maxConcurrent) {
+            const entry = this.next();
+            if (!entry) return;
+
+            this.queue.splice(this.queue.indexOf(entry), 1);
+            this.settle(entry);
+            entry.resolve(this.take(entry.origin));
+        }
+    }
 
-        for (const key of this.cache.keys()) {
-            if (regex.test(key)) {
-                this.cache.delete(key);
-                this.etags.delete(key);
-                count++;
+    /**
+     * Highest (aged) priority among runnable entries; the earliest one wins ties
+     */
+    next() {
+        const now = Date.now();
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const entry of this.queue) {
+            if (!this.canRun(entry.origin)) continue;
+            const score = entry.priority + (this.priorityAging ? (now - entry.queuedAt) / this.priorityAging : 0);
+            if (score > bestScore) {
+                best = entry;
+                bestScore = score;
             }
         }
-        return count;
+
+        return best;
+    }
+
+    settle(entry) {
+        clearTimeout(entry.timer);
+        if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
     }
 
     stats() {
+        const byOrigin = {};
+        for (const [origin, active] of this.activeByOrigin) {
+            byOrigin[origin] = { active, queued: 0 };
+        }
+        for (const { origin } of this.queue) {
+            byOrigin[origin] = byOrigin[origin] || { active: 0, queued: 0 };
+            byOrigin[origin].queued++;
+        }
+
         return {
-            size: this.cache.size,
-            maxSize: this.maxSize,
-            ttl: this.ttl,
-            pending: this.pending.size,
-            etags: this.etags.size,
+            active: this.active,
+            queued: this.queue.length,
+            maxConcurrent: this.maxConcurrent,
+            maxConcurrentPerOrigin: this.maxConcurrentPerOrigin,
+            maxQueue: this.maxQueue,
+            ...this.counters,
+            byOrigin,
         };
     }
+}
 
-    _scheduleCleanup() {
-        if (this._cleanupScheduled) return;
-        this._cleanupScheduled = true;
+/**
+ * Token bucket - `requests` per `per` ms with up to `burst` at once
+ *
+ * Tokens are reserved up front (the count may go negative), so waiting callers are served in order.
+ * Without `requests` the bucket only enforces waits the server asked for.
+ */
+class TokenBucket {
+    constructor(options = {}) {
+        this.rate = options.requests ? options.requests / (options.per || 1000) : 0; // tokens per ms
+        this.capacity = options.burst || options.requests || 0;
+        this.tokens = this.capacity;
+        this.last = Date.now();
+        this.blockedUntil = 0;
+    }
 
-        setTimeout(() => {
-            this._cleanupScheduled = false;
-            this._cleanup();
-        }, 60000);
+    async take(signal) {
+        const wait = this.reserve();
+        if (!wait) return;
+
+        try {
+            await sleep(wait, signal);
+        } catch (error) {
+            if (this.rate) this.tokens++;
+            throw error;
+        }
     }
 
-    _cleanup() {
+    /**
+     * Reserve a token; returns how long to wait for it
+     */
+    reserve() {
         const now = Date.now();
-        for (const [key, entry] of this.cache.entries()) {
-            if (entry.expires <= now) {
-                this.cache.delete(key);
-                this.etags.delete(key);
-            }
+        const blocked = Math.max(0, this.blockedUntil - now);
+        if (!this.rate) return blocked;
+
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) * this.rate);
+        this.last = now;
+        this.tokens--;
+
+        return Math.max(blocked, this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.rate));
+    }
+
+    /**
+     * Follow the server's count: never more tokens than it says remain, none until reset at 0
+     */
+    adapt(remaining, resetIn) {
+        if (remaining === 0 && resetIn > 0) {
+            this.blockedUntil = Math.max(this.blockedUntil, Date.now() + resetIn);
+        } else if (remaining != null && this.rate) {
+            this.tokens = Math.min(this.tokens, remaining);
         }
     }
+
+    stats() {
+        const now = Date.now();
+        return {
+            tokens: this.rate ? Math.min(this.capacity, this.tokens + (now - this.last) * this.rate) : null,
+            blockedFor: Math.max(0, this.blockedUntil - now),
+        };
+    }
 }
 
 /**
- * Circuit breaker - fail fast when services are down
+ * Rate limiter - an instance-wide token bucket plus one per configured route
  */
-class CircuitBreaker {
+class RateLimiter {
     constructor(options = {}) {
-        this.failureThreshold = options.failureThreshold || 5;
-        this.resetTimeout = options.resetTimeout || 60000;
-        this.fallback = options.fallback;
+        this.adaptive = options.adaptive === true;
+        this.global = options.requests || this.adaptive ? new TokenBucket(options) : null;
+        this.routes = (options.routes || []).map(route => ({ url: route.url, bucket: new TokenBucket(route) }));
+    }
 
-        this.state = CIRCUIT_CLOSED;
-        this.failureCount = 0;
-        this.lastFailureTime = null;
-        this.successCount = 0;
-        this.halfOpenRequestSent = false;
+    /**
+     * Buckets a URL draws from: the first matching route's and the instance-wide one
+     */
+    buckets(url) {
+        const buckets = [];
+        const route = this.routes.find(r => r.url.test(url));
+        if (route) buckets.push(route.bucket);
+        if (this.global) buckets.push(this.global);
+        return buckets;
     }
 
-    async call(fn) {
-        if (this.state === CIRCUIT_OPEN) {
-            if (this.shouldReset()) {
-                this.state = CIRCUIT_HALF_OPEN;
-                this.halfOpenRequestSent = false;
-            } else {
-                return this.fallback();
-            }
+    async acquire(url, signal) {
+        for (const bucket of this.buckets(url)) {
+            await bucket.take(signal);
         }
+    }
 
-        if (this.state === CIRCUIT_HALF_OPEN) {
-            if (this.halfOpenRequestSent) {
-                return this.fallback();
-            }
-            this.halfOpenRequestSent = true;
-        }
+    /**
+     * Read X-RateLimit-* / RateLimit-* headers into the most specific bucket
+     */
+    adapt(url, headers) {
+        if (!this.adaptive || !headers || typeof headers.get !== 'function') return;
 
-        try {
-            const result = await fn();
-            this.onSuccess();
-            return result;
-        } catch (error) {
-            this.onFailure();
-            throw error;
-        }
+        const remaining = headers.get('ratelimit-remaining') ?? headers.get('x-ratelimit-remaining');
+        if (remaining == null) return;
+
+        const reset = headers.get('ratelimit-reset') ?? headers.get('x-ratelimit-reset');
+        const [bucket] = this.buckets(url);
+        bucket?.adapt(toInt(remaining, null), resetDelay(reset));
     }
 
-    onSuccess() {
-        this.failureCount = 0;
-        this.successCount++;
-        if (this.state === CIRCUIT_HALF_OPEN) {
-            this.state = CIRCUIT_CLOSED;
-            this.halfOpenRequestSent = false;
+    stats() {
+        const routes = {};
+        for (const { url, bucket } of this.routes) {
+            routes[String(url)] = bucket.stats();
         }
+        return { ...(this.global ? this.global.stats() : {}), routes };
     }
+}
 
-    onFailure() {
-        this.failureCount++;
-        this.lastFailureTime = Date.now();
+/**
+ * Retry budget - retries may not exceed `ratio` of recent requests, plus `minPerSecond`
+ * so quiet instances can still retry. Counted in one-second buckets over a rolling `window`.
+ */
+class RetryBudget {
+    constructor(options = {}) {
+        this.ratio = options.ratio ?? 0.2;
+        this.minPerSecond = options.minPerSecond ?? 1;
+        this.window = options.window || 10000;
+
+        this.buckets = []; // [second, requests, retries]
+        this.exhausted = 0;
+    }
+
+    recordRequest() {
+        this.bucket()[1]++;
+    }
 
-        if (this.failureCount >= this.failureThreshold) {
-            this.state = CIRCUIT_OPEN;
+    /**
+     * Spend one retry; false when the budget is used up
+     */
+    tryRetry() {
+        const { requests, retries } = this.totals();
+        if (retries >= this.allowance(requests)) {
+            this.exhausted++;
+            return false;
         }
+        this.bucket()[2]++;
+        return true;
     }
 
-    shouldReset() {
-        return Date.now() - this.lastFailureTime > this.resetTimeout;
+    allowance(requests) {
+        return requests * this.ratio + this.minPerSecond * this.window / 1000;
+    }
+
+    bucket() {
+        const second = Math.floor(Date.now() / 1000);
+        this.prune();
+
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket[0] !== second) {
+            bucket = [second, 0, 0];
+            this.buckets.push(bucket);
+        }
+        return bucket;
     }
 
-    fallback() {
-        if (this.fallback) {
-            return this.fallback();
+    prune() {
+        const oldest = Math.floor((Date.now() - this.window) / 1000);
+        while (this.buckets.length && this.buckets[0][0] <= oldest) {
+            this.buckets.shift();
         }
-        throw new Error(`Circuit breaker is OPEN - service temporarily unavailable`);
     }
 
-    reset() {
-        this.state = CIRCUIT_CLOSED;
-        this.failureCount = 0;
-        this.successCount = 0;
-        this.lastFailureTime = null;
-        this.halfOpenRequestSent = false;
+    totals() {
+        this.prune();
+        let requests = 0;
+        let retries = 0;
+        for (const [, req, ret] of this.buckets) {
+            requests += req;
+            retries += ret;
+        }
+        return { requests, retries };
     }
 
     stats() {
+        const { requests, retries } = this.totals();
         return {
-            state: this.state,
-            failures: this.failureCount,
-            successes: this.successCount,
-            isHealthy: this.state === CIRCUIT_CLOSED && this.failureCount < this.failureThreshold,
+            requests,
+            retries,
+            allowed: Math.floor(this.allowance(requests)),
+            exhausted: this.exhausted,
+            ratio: this.ratio,
+            minPerSecond: this.minPerSecond,
+            window: this.window,
         };
     }
 }
@@ -310,6 +1548,35 @@ class TimeoutError extends Error {
     }
 }
 
+class CircuitOpenError extends Error {
+    constructor(key, state, nextProbeIn, lastError, url) {
+        super(`Circuit breaker "${key}" is ${state} - service temporarily unavailable`);
+        this.name = 'CircuitOpenError';
+        this.key = key;
+        this.state = state;
+        this.nextProbeIn = nextProbeIn;
+        this.lastError = lastError;
+        this.url = url;
+    }
+}
+
+class QueueFullError extends Error {
+    constructor(url, maxQueue) {
+        super(`Request queue full (${maxQueue} waiting): ${url}`);
+        this.name = 'QueueFullError';
+        this.url = url;
+        this.maxQueue = maxQueue;
+    }
+}
+
+class CacheMissError extends Error {
+    constructor(url) {
+        super(`Not in cache (onlyIfCached): ${url}`);
+        this.name = 'CacheMissError';
+        this.url = url;
+    }
+}
+
 /**
  * Grab - HTTP client
  *
@@ -332,15 +1599,33 @@ class Grab {
         this.retryDelay = retryOpts.delay || this.defaultRetryDelay;
         this.retryCondition = retryOpts.condition || this.defaultRetryCondition.bind(this);
         this.respectRetryAfter = retryOpts.respectRetryAfter;
+        this.maxRetryAfter = retryOpts.maxRetryAfter;
+        this.failFastOnRetryAfter = retryOpts.failFastOnRetryAfter;
+        this.retryMethods = retryOpts.methods;
+        this.retryBudget = retryOpts.budget ? new RetryBudget(retryOpts.budget) : null;
+        this.onRetry = retryOpts.onRetry;
 
-        // Set up circuit breaker
-        const cbOpts = normalizeCircuitBreaker(options.circuitBreaker);
-        this.circuitBreaker = new CircuitBreaker(cbOpts);
+        // Idempotency keys make POST/PATCH safe to retry
+        this.idempotency = normalizeIdempotency(options.idempotency);
+
+        // Set up circuit breakers - one per origin / route / custom key, created on first use
+        this.breakerOptions = normalizeCircuitBreaker(options.circuitBreaker);
+        this.circuitBreaker = this.createBreaker(DEFAULT_BREAKER);
+        this.circuitBreakers = new Map([[DEFAULT_BREAKER, this.circuitBreaker]]);
+
+        // Set up concurrency limits
+        this.concurrency = normalizeConcurrency(options.concurrency);
+        this.bulkhead = this.concurrency ? new Bulkhead(this.concurrency) : null;
+
+        // Set up rate limiting
+        this.rateLimit = normalizeRateLimit(options.rateLimit);
+        this.rateLimiter = this.rateLimit ? new RateLimiter(this.rateLimit) : null;
 
         // Interceptors
         this.requestInterceptors = [];
         this.responseInterceptors = [];
         this.errorInterceptors = [];
+        this.retryInterceptors = [];
 
         // Browser-only features
         this.pushHints = typeof document !== 'undefined' ? new Set() : null;
@@ -367,11 +1652,19 @@ class Grab {
         const method = processedConfig.method || 'GET';
         let response;
 
+        if (this.idempotency && this.idempotency.methods.includes(method.toUpperCase())) {
+            processedConfig = this.withIdempotencyKey(processedConfig);
+        }
+
         // Use cache for GET requests
         if (method === 'GET' && processedConfig.cache !== false) {
             response = await this.cacheableRequest(processedConfig);
         } else {
             response = await this.executeRequest(processedConfig);
+
+            if (MUTATING_METHODS.includes(method) && !response.fromFallback) {
+                this.cache.invalidateFor(method, this.resolveUrl(processedConfig.url), processedConfig);
+            }
         }
 
         // Run response interceptors
@@ -454,6 +1747,7 @@ class Grab {
         if (interceptors.request) this.requestInterceptors.push(interceptors.request);
         if (interceptors.response) this.responseInterceptors.push(interceptors.response);
         if (interceptors.error) this.errorInterceptors.push(interceptors.error);
+        if (interceptors.retry) this.retryInterceptors.push(interceptors.retry);
     }
 
     /**
@@ -464,54 +1758,195 @@ class Grab {
             baseUrl: this.baseUrl,
             timeout: this.timeout,
             headers: this.defaultHeaders,
-            cache: { ttl: this.cache.ttl, maxSize: this.cache.maxSize },
+            cache: {
+                // Persistent stores are shared; a memory cache stays the parent's own
+                store: this.cache.store instanceof MemoryStore ? 'memory' : this.cache.store,
+                ttl: this.cache.ttl,
+                maxSize: this.cache.maxSize,
+                maxBytes: this.cache.maxBytes,
+                maxEntryBytes: this.cache.maxEntryBytes,
+                staleWhileRevalidate: this.cache.staleWhileRevalidate,
+                staleIfError: this.cache.staleIfError,
+                respectHeaders: this.cache.respectHeaders,
+                invalidationRules: this.cache.invalidationRules,
+                statsPatterns: this.cache.statsPatterns,
+                onEvent: this.cache.onEvent,
+                shareAcrossTabs: this.cache.channel ? this.cache.channel.name : null,
+            },
             retry: {
                 attempts: this.retryAttempts,
                 delay: this.retryDelay,
                 condition: this.retryCondition,
                 respectRetryAfter: this.respectRetryAfter,
+                maxRetryAfter: this.maxRetryAfter,
+                failFastOnRetryAfter: this.failFastOnRetryAfter,
+                onRetry: this.onRetry,
+                methods: this.retryMethods,
+                budget: this.retryBudget && {
+                    ratio: this.retryBudget.ratio,
+                    minPerSecond: this.retryBudget.minPerSecond,
+                    window: this.retryBudget.window,
+                },
             },
-            circuitBreaker: {
-                failureThreshold: this.circuitBreaker.failureThreshold,
-                resetTimeout: this.circuitBreaker.resetTimeout,
-                fallback: this.circuitBreaker.fallback,
-            },
+            idempotency: this.idempotency,
+            circuitBreaker: this.breakerOptions,
+            concurrency: this.concurrency,
+            rateLimit: this.rateLimit,
             maxRequestSize: this.maxRequestSize,
             maxResponseSize: this.maxResponseSize,
             ...options,
         });
     }
 
-    // ============================================================================
-    // CACHE MANAGEMENT
-    // ============================================================================
+    // ============================================================================
+    // CACHE MANAGEMENT
+    // ============================================================================
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    invalidateCache(pattern) {
+        return this.cache.invalidate(pattern);
+    }
+
+    invalidateCacheTags(tags) {
+        return this.cache.invalidateTags(tags);
+    }
+
+    getCacheStats() {
+        return this.cache.stats();
+    }
+
+    resetCacheStats() {
+        this.cache.resetStats();
+    }
+
+    /**
+     * Snapshot the cache for SSR - pass the result to hydrateCache() on the client
+     */
+    exportCache(options) {
+        return this.cache.snapshot(options);
+    }
+
+    hydrateCache(snapshot) {
+        return this.cache.hydrate(snapshot);
+    }
+
+    // ============================================================================
+    // CIRCUIT BREAKER MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Default breaker stats, plus every breaker by key under `breakers`
+     */
+    getCircuitBreakerStats() {
+        const breakers = {};
+        for (const [key, breaker] of this.circuitBreakers) {
+            breakers[key] = breaker.stats();
+        }
+        return { ...this.circuitBreaker.stats(), breakers };
+    }
+
+    resetCircuitBreaker(key) {
+        if (key != null) {
+            this.circuitBreakers.get(key)?.reset();
+            return;
+        }
+        for (const breaker of this.circuitBreakers.values()) breaker.reset();
+    }
 
-    clearCache() {
-        this.cache.clear();
+    isHealthy(key) {
+        if (key != null) {
+            const breaker = this.circuitBreakers.get(key);
+            return breaker ? breaker.stats().isHealthy : true;
+        }
+        return Array.from(this.circuitBreakers.values()).every(b => b.stats().isHealthy);
     }
 
-    invalidateCache(pattern) {
-        return this.cache.invalidate(pattern);
+    /**
+     * Which breaker guards a request: its origin, the first matching route, or a custom key
+     */
+    breakerKey(config) {
+        const { scope, routes } = this.breakerOptions;
+        if (scope === 'global') return DEFAULT_BREAKER;
+
+        const url = this.resolveUrl(config.url);
+        if (typeof scope === 'function') {
+            return String(scope(url, config) ?? '') || DEFAULT_BREAKER;
+        }
+        if (scope === 'origin') {
+            return originOf(url) || DEFAULT_BREAKER;
+        }
+
+        for (const [name, pattern] of Object.entries(routes)) {
+            if (pattern.test(url)) return name;
+        }
+        return DEFAULT_BREAKER;
     }
 
-    getCacheStats() {
-        return this.cache.stats();
+    breakerFor(config) {
+        const key = this.breakerKey(config);
+        let breaker = this.circuitBreakers.get(key);
+        if (breaker) return breaker;
+
+        // Custom keys can be unbounded - forget the oldest closed breaker
+        if (this.circuitBreakers.size >= MAX_BREAKERS) {
+            for (const [k, b] of this.circuitBreakers) {
+                if (k !== DEFAULT_BREAKER && b.state === CIRCUIT_CLOSED) {
+                    this.circuitBreakers.delete(k);
+                    break;
+                }
+            }
+        }
+
+        breaker = this.createBreaker(key);
+        this.circuitBreakers.set(key, breaker);
+        return breaker;
+    }
+
+    createBreaker(key) {
+        const { breakers, ...defaults } = this.breakerOptions;
+        const options = breakers[key] ? normalizeCircuitBreaker({ ...defaults, ...breakers[key] }) : defaults;
+
+        // A health check URL is polled straight through - no retries, no breaker
+        const healthCheck = typeof options.healthCheck === 'string'
+            ? () => this.executeHttpRequest({ method: 'GET', url: options.healthCheck })
+            : options.healthCheck;
+
+        // Without a name, instances talking to different APIs must not trip each other's 'default' breaker
+        const breaker = new CircuitBreaker({ ...options, name: options.name || this.baseUrl, healthCheck, key });
+        breaker.sync();
+        return breaker;
     }
 
     // ============================================================================
-    // CIRCUIT BREAKER MANAGEMENT
+    // RETRY MANAGEMENT
     // ============================================================================
 
-    getCircuitBreakerStats() {
-        return this.circuitBreaker.stats();
+    /**
+     * Recent requests and retries against the retry budget (null without a budget)
+     */
+    getRetryStats() {
+        return this.retryBudget ? this.retryBudget.stats() : null;
     }
 
-    resetCircuitBreaker() {
-        this.circuitBreaker.reset();
+    // ============================================================================
+    // CONCURRENCY MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Active and queued requests, overall and by origin (null without concurrency limits)
+     */
+    getQueueStats() {
+        return this.bulkhead ? this.bulkhead.stats() : null;
     }
 
-    isHealthy() {
-        return this.circuitBreaker.stats().isHealthy;
+    /**
+     * Tokens left and server-imposed waits (null without rate limits)
+     */
+    getRateLimitStats() {
+        return this.rateLimiter ? this.rateLimiter.stats() : null;
     }
 
     // ============================================================================
@@ -519,53 +1954,173 @@ class Grab {
     // ============================================================================
 
     async cacheableRequest(config) {
-        const url = this.resolveUrl(config.url);
-        const cacheKey = this.cache.key('GET', url, config.params, config.headers);
+        const cacheKey = this.cache.key(...this.cacheKeyParts(config));
+
+        if (config.onlyIfCached) {
+            return this.cachedOnly(cacheKey, config);
+        }
+
+        // forceRefresh must not join a request that may be answered from cache
+        const dedupe = config.dedupe !== false;
 
         // Check for in-flight request
-        const pendingRequest = this.cache.getPending(cacheKey);
+        const pendingRequest = dedupe && !config.forceRefresh && this.cache.getPending(cacheKey);
         if (pendingRequest) {
+            this.cache.record('dedup', cacheKey);
             return pendingRequest;
         }
 
+        // Track the lookup too - stores may be async, and concurrent callers must still share one request
+        const requestPromise = this.cachedOrFetch(cacheKey, config);
+        if (dedupe) this.cache.track(cacheKey, requestPromise);
+        return requestPromise;
+    }
+
+    /**
+     * Method, URL, params and headers a request is cached under (cacheKey replaces URL and params)
+     */
+    cacheKeyParts(config) {
+        // Instance headers count too - `new Grab({ headers: { Authorization } })` is the usual SSR setup
+        const headers = config.headers ? { ...this.defaultHeaders, ...config.headers } : this.defaultHeaders;
+        return config.cacheKey
+            ? ['GET', String(config.cacheKey), {}, headers]
+            : ['GET', this.resolveUrl(config.url), config.params, headers];
+    }
+
+    async cachedOrFetch(cacheKey, config) {
+        if (!config.forceRefresh) {
+            const cached = await this.fromCache(cacheKey, config);
+            if (cached) return cached;
+        }
+
+        this.cache.record('miss', cacheKey);
+        this.cache.announce(cacheKey);
+
+        try {
+            return await this.fetchAndCache(cacheKey, config);
+        } catch (error) {
+            // Network down, circuit open or retries exhausted - stale beats nothing.
+            // A 4xx is the server's real answer, and an aborted caller wants no answer at all.
+            if (config.signal?.aborted || !isServiceFailure(error)) throw error;
+
+            const fallback = await this.cache.getStale(cacheKey, this.cache.staleIfError);
+            if (fallback) {
+                this.cache.record('stale', cacheKey);
+                return fallback;
+            }
+            throw error;
+        } finally {
+            this.cache.settle(cacheKey);
+        }
+    }
+
+    async fromCache(cacheKey, config) {
         // Check cache
-        const cached = this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
         if (cached) {
+            this.cache.record('hit', cacheKey);
             return cached;
         }
 
-        // Add ETag if there is one
-        const etag = this.cache.etag(cacheKey);
-        if (etag) {
-            config.headers = { ...config.headers, 'If-None-Match': etag };
+        // Serve stale right away and refresh in the background
+        const stale = await this.cache.getStale(cacheKey, this.cache.staleWhileRevalidate);
+        if (stale) {
+            this.cache.record('stale', cacheKey);
+            this.revalidate(cacheKey, config);
+            return stale;
         }
 
-        // Execute request
-        const requestPromise = this.circuitBreaker.call(async () => {
-            return this.executeWithRetry(config);
-        }).then(response => {
-            if (response.status === 304) {
-                this.cache.refresh(cacheKey);
-                const refreshed = this.cache.get(cacheKey);
-                if (refreshed) return refreshed;
+        // Another tab is already fetching this - wait for its result
+        const remote = this.cache.waitForRemote(cacheKey);
+        if (remote) {
+            await remote;
+            const shared = await this.cache.get(cacheKey);
+            if (shared) {
+                this.cache.record('dedup', cacheKey);
+                return shared;
             }
+        }
+
+        return null;
+    }
+
+    /**
+     * onlyIfCached: whatever the cache has, even stale - never the network
+     */
+    async cachedOnly(cacheKey, config) {
+        const cached = await this.cache.get(cacheKey) || await this.cache.getStale(cacheKey, Infinity);
+        if (cached) {
+            this.cache.record(cached.stale ? 'stale' : 'hit', cacheKey);
+            return cached;
+        }
+
+        this.cache.record('miss', cacheKey);
+        throw await callErrorInterceptors(this.errorInterceptors, new CacheMissError(this.resolveUrl(config.url)));
+    }
+
+    revalidate(cacheKey, config) {
+        if (this.cache.revalidating.has(cacheKey)) return;
+        this.cache.revalidating.add(cacheKey);
 
-            if (response.ok) {
-                const etag = response.headers.get('etag');
-                this.cache.set(cacheKey, response, null, etag);
+        // Failures are already reported through error interceptors; the stale entry stays put
+        this.fetchAndCache(cacheKey, config)
+            .catch(() => {})
+            .then(() => this.cache.revalidating.delete(cacheKey));
+    }
+
+    async fetchAndCache(cacheKey, config) {
+        // Add ETag / Last-Modified validators if there are any
+        const validators = config.forceRefresh ? {} : this.cache.validators(cacheKey);
+        const conditional = Object.keys(validators).length > 0;
+        const requestConfig = conditional
+            ? { ...config, headers: { ...config.headers, ...validators } }
+            : config;
+
+        // Execute request
+        const response = await this.executeWithBreaker(config, requestConfig);
+
+        // Fallbacks stand in for the server - never cache them
+        if (response.fromFallback) return response;
+
+        // Without respectHeaders everything is cached for the configured ttl
+        const policy = this.cache.respectHeaders ? cachePolicy(response.headers) : {};
+        const ttl = isNum(config.cacheTtl) && config.cacheTtl >= 0 ? config.cacheTtl : policy?.ttl;
+
+        if (response.status === 304) {
+            if (conditional && !this.cache.matches(cacheKey, response.headers)) {
+                // 304 for a different representation - drop ours and fetch it for real
+                await this.cache.delete(cacheKey);
+                return this.fetchAndCache(cacheKey, config);
             }
 
+            await this.cache.refresh(cacheKey, ttl);
+            const refreshed = await this.cache.get(cacheKey);
+            if (refreshed) {
+                this.cache.record('revalidation', cacheKey);
+                return refreshed;
+            }
             return response;
-        });
+        }
 
-        this.cache.track(cacheKey, requestPromise);
-        return requestPromise;
+        if (response.ok && policy) {
+            if (policy.vary?.length) {
+                cacheKey = this.cache.varyOn(...this.cacheKeyParts(config), policy.vary);
+            }
+
+            await this.cache.set(cacheKey, response, {
+                ttl,
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified'),
+                mustRevalidate: policy.mustRevalidate,
+                tags: config.cacheTags || []
+            });
+        }
+
+        return response;
     }
 
     async executeRequest(config) {
-        const response = await this.circuitBreaker.call(async () => {
-            return this.executeWithRetry(config);
-        });
+        const response = await this.executeWithBreaker(config, config);
 
         if (this.pushHints) {
             this.processPushHints(response);
@@ -574,40 +2129,134 @@ class Grab {
         return response;
     }
 
-    async executeWithRetry(config) {
-        let lastError;
+    /**
+     * Wait for a rate-limit token, then a bulkhead slot - in that order, so throttled requests
+     * don't sit on slots other routes could use. Resolves with the slot's release function.
+     */
+    async waitForTurn(url, config) {
+        try {
+            if (this.rateLimiter) await this.rateLimiter.acquire(url, config.signal);
+            if (!this.bulkhead) return NO_SLOT;
+            return await this.bulkhead.acquire(originOf(url) || '', { signal: config.signal, url, priority: config.priority });
+        } catch (error) {
+            throw await callErrorInterceptors(this.errorInterceptors, error);
+        }
+    }
+
+    /**
+     * executeWithRetry behind the request's breaker; `config` is what a fallback gets to see
+     */
+    executeWithBreaker(config, requestConfig) {
+        if (config.circuitBreaker === false) return this.executeWithRetry(requestConfig);
+
+        return this.breakerFor(config)
+            .call((network) => this.executeWithRetry(requestConfig, network), config)
+            .catch(async (error) => {
+                // Request errors already went through the interceptors in executeWithRetry
+                if (error instanceof CircuitOpenError) {
+                    throw await callErrorInterceptors(this.errorInterceptors, error);
+                }
+                throw error;
+            });
+    }
 
-        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+    /**
+     * Run the request with retries; `network` tells the breaker whether anything went out and
+     * how long the answering attempt took, backoff excluded
+     */
+    async executeWithRetry(config, network) {
+        const started = Date.now();
+        const url = (this.rateLimiter || this.bulkhead) && this.resolveUrl(config.url);
+        const policy = this.retryPolicy(config);
+        let errors = null;
+        if (this.retryBudget) this.retryBudget.recordRequest();
+        if (network) network.sent = false;
+
+        for (let attempt = 1; ; attempt++) {
+            // A slot per attempt - a request backing off holds no connection. Waiting for a turn
+            // is our own throttling, so it stays out of the breaker's slow-call timing.
+            const release = this.rateLimiter || this.bulkhead ? await this.waitForTurn(url, config) : NO_SLOT;
             try {
-                return await this.executeHttpRequest(config);
+                const sent = Date.now();
+                if (network) network.sent = true;
+                const response = await this.executeHttpRequest(config);
+                release();
+                if (network) network.duration = Date.now() - sent;
+                if (this.rateLimiter) this.rateLimiter.adapt(url, response.headers);
+                if (config.idempotencyKey) response.idempotencyKey = config.idempotencyKey;
+                response.attempts = attempt;
+                response.totalDuration = Date.now() - started;
+                response.errors = errors || NO_ERRORS;
+                return response;
             } catch (error) {
-                lastError = error;
-
-                const isFinalAttempt = attempt === this.retryAttempts;
-                const shouldRetry = this.retryCondition(error);
-
-                if (isFinalAttempt || !shouldRetry) {
-                    throw await callErrorInterceptors(this.errorInterceptors, error);
+                release();
+                const delay = await this.nextRetryDelay(error, attempt, config, policy, url);
+                if (delay === null) {
+                    throw await this.giveUp(error, attempt, started, errors);
                 }
+                if (!errors) errors = [];
+                errors.push(error);
+                await sleep(delay);
+            }
+        }
+    }
 
-                let delay = typeof this.retryDelay === 'function'
-                    ? this.retryDelay(attempt)
-                    : this.retryDelay;
+    /**
+     * How long to wait before retrying a failed attempt, or null to give up
+     */
+    async nextRetryDelay(error, attempt, config, policy, url) {
+        if (config.idempotencyKey) error.idempotencyKey = config.idempotencyKey;
+        if (this.rateLimiter && error instanceof HttpError) {
+            this.rateLimiter.adapt(url, error.response?.headers);
+        }
 
-                // Respect Retry-After header for 429s
-                if (this.respectRetryAfter && error instanceof HttpError && error.status === 429) {
-                    const retryAfter = error.response?.headers?.get('retry-after');
-                    if (retryAfter) {
-                        const retryAfterMs = toInt(retryAfter, 0) * 1000;
-                        if (retryAfterMs > 0) delay = Math.min(retryAfterMs, MAX_BACKOFF);
-                    }
-                }
+        const isFinalAttempt = attempt >= policy.retryAttempts;
+        const shouldRetry = policy.retryCondition(error, config, attempt);
+        if (isFinalAttempt || !shouldRetry) {
+            return null;
+        }
 
-                await sleep(delay);
+        let delay = typeof policy.retryDelay === 'function'
+            ? policy.retryDelay(attempt)
+            : policy.retryDelay;
+
+        // Respect Retry-After (seconds or HTTP-date) for 429s and 503s
+        if (this.respectRetryAfter && error instanceof HttpError && (error.status === 429 || error.status === 503)) {
+            const retryAfter = parseRetryAfter(error.response?.headers?.get('retry-after'));
+            if (retryAfter !== null) {
+                error.retryAfter = retryAfter;
+                if (retryAfter > this.maxRetryAfter && this.failFastOnRetryAfter) return null;
+                delay = Math.min(retryAfter, this.maxRetryAfter);
             }
         }
 
-        throw lastError;
+        // Retry interceptors can change the delay (a number) or cancel the retry (false)
+        for (const interceptor of this.retryInterceptors) {
+            const result = await interceptor(error, attempt, delay, config);
+            if (result === false) return null;
+            if (isNum(result) && result >= 0) delay = result;
+        }
+
+        // Everyone is retrying - back off instead of piling on
+        if (this.retryBudget && !this.retryBudget.tryRetry()) {
+            error.retryBudgetExhausted = true;
+            return null;
+        }
+
+        if (this.onRetry) notify(this.onRetry, error, attempt, delay, config);
+
+        return delay;
+    }
+
+    /**
+     * Attach the attempt history to the final error, then run the error interceptors.
+     * The error itself stays out of `errors` - a self-reference breaks JSON.stringify in loggers.
+     */
+    giveUp(error, attempts, started, errors) {
+        error.attempts = attempts;
+        error.totalDuration = Date.now() - started;
+        error.errors = errors || [];
+        return callErrorInterceptors(this.errorInterceptors, error);
     }
 
     async executeHttpRequest(config) {
@@ -693,8 +2342,8 @@ class Grab {
             options.headers = { ...this.defaultHeaders, ...headers };
         }
 
-        // Adds a priority hint if supported
-        if (priority && supportsPriority()) {
+        // Adds a priority hint if supported (numeric priorities only order the queue)
+        if (typeof priority === 'string' && supportsPriority()) {
             options.priority = priority;
         }
 
@@ -733,6 +2382,7 @@ class Grab {
             url: response.url,
             data,
             etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
         };
     }
 
@@ -821,12 +2471,27 @@ class Grab {
         return Math.max(100, Math.floor(baseDelay + jitter)); // Minimum 100ms
     }
 
+    /**
+     * The request's `retry` option over the instance settings - `false` means a single attempt
+     */
+    retryPolicy(config) {
+        const r = config.retry;
+        if (r == null || r === true) return this;
+        if (r === false) return { retryAttempts: 1, retryDelay: 0, retryCondition: this.retryCondition };
+
+        return {
+            retryAttempts: r.attempts >= 0 ? clamp(toInt(r.attempts, this.retryAttempts), 1, 10) : this.retryAttempts,
+            retryDelay: typeof r.delay === 'function' || (isNum(r.delay) && r.delay >= 0) ? r.delay : this.retryDelay,
+            retryCondition: typeof r.condition === 'function' ? r.condition : this.retryCondition,
+        };
+    }
+
     /**
      * Default retry condition
      */
-    defaultRetryCondition(error) {
-        // Don't retry POST/PUT by default for safety
-        if (this.method === 'POST' && error instanceof HttpError) {
+    defaultRetryCondition(error, config = {}) {
+        // Repeating a POST may charge a card twice - only retry what is safe to repeat
+        if (!this.isRetryableMethod(config)) {
             return false;
         }
         if (error instanceof NetworkError || error instanceof TimeoutError) {
@@ -837,6 +2502,29 @@ class Grab {
         }
         return false;
     }
+
+    /**
+     * Idempotent methods (or retry.methods), and anything carrying an Idempotency-Key
+     */
+    isRetryableMethod(config) {
+        const method = (config.method || 'GET').toUpperCase();
+        if (this.retryMethods.includes(method)) return true;
+        const header = this.idempotency ? this.idempotency.header : 'Idempotency-Key';
+        return findHeader({ ...this.defaultHeaders, ...config.headers }, header) != null;
+    }
+
+    /**
+     * One key per logical request - set here once so every retry sends the same one.
+     * A key the caller already set wins.
+     */
+    withIdempotencyKey(config) {
+        const { header, generate } = this.idempotency;
+        const existing = findHeader({ ...this.defaultHeaders, ...config.headers }, header);
+        if (existing != null) return { ...config, idempotencyKey: existing };
+
+        const key = String(generate(config));
+        return { ...config, idempotencyKey: key, headers: { ...config.headers, [header]: key } };
+    }
 }
 
 // Configuration normalization - compact and functional
@@ -850,23 +2538,176 @@ const normalizeTimeout = (t) => {
 const normalizeCache = (c = {}) => ({
     enabled: c.enabled !== false,
     ttl: Math.max(1000, Math.min(86400000, +c.ttl || DEFAULT_CACHE_TTL)),
-    maxSize: Math.max(1, Math.min(10000, +c.maxSize || 100))
+    maxSize: Math.max(1, Math.min(10000, +c.maxSize || 100)),
+    maxBytes: Math.max(0, +c.maxBytes || 0),
+    maxEntryBytes: Math.max(0, +c.maxEntryBytes || 0),
+    store: normalizeStore(c.store),
+    staleWhileRevalidate: normalizeStale(c.staleWhileRevalidate),
+    staleIfError: normalizeStale(c.staleIfError),
+    respectHeaders: c.respectHeaders === true,
+    invalidationRules: normalizeInvalidationRules(c.invalidationRules),
+    statsPatterns: normalizePatterns(c.statsPatterns),
+    onEvent: typeof c.onEvent === 'function' ? c.onEvent : null,
+    shareAcrossTabs: typeof c.shareAcrossTabs === 'string' && c.shareAcrossTabs ? c.shareAcrossTabs : null
 });
 
+const normalizePatterns = (patterns) => {
+    if (!patterns || typeof patterns !== 'object') return {};
+    const clean = {};
+    for (const [name, pattern] of Object.entries(patterns)) {
+        if (pattern instanceof RegExp) clean[name] = pattern;
+        else if (typeof pattern === 'string') clean[name] = new RegExp(pattern);
+    }
+    return clean;
+};
+
+const normalizeInvalidationRules = (rules) => {
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .filter(r => r && (typeof r.url === 'string' || r.url instanceof RegExp))
+        .map(r => ({
+            url: typeof r.url === 'string' ? new RegExp(r.url) : r.url,
+            methods: Array.isArray(r.methods) ? r.methods.map(m => String(m).toUpperCase()) : MUTATING_METHODS,
+            tags: Array.isArray(r.tags) || typeof r.tags === 'function' ? r.tags : null,
+            invalidate: typeof r.invalidate === 'function' ? r.invalidate : null
+        }));
+};
+
+const normalizeStale = (s) => s === true || s === Infinity ? Infinity : isNum(s) && s > 0 ? s : 0;
+
+const normalizeStore = (s) => {
+    if (s && typeof s === 'object') {
+        const methods = ['get', 'set', 'delete', 'keys', 'clear'];
+        return methods.every(m => typeof s[m] === 'function') ? s : new MemoryStore();
+    }
+    if (s === 'localStorage') return new LocalStorageStore();
+    if (s === 'indexedDB') return new IndexedDBStore();
+    if (s === 'file') return new FileStore();
+    return new MemoryStore();
+};
+
+// Breaker state stays out of the cache's storage; 'memory' is shared by the whole process
+const normalizeBreakerStore = (s) => {
+    if (s && typeof s === 'object') {
+        return typeof s.get === 'function' && typeof s.set === 'function' ? s : null;
+    }
+    if (s === 'memory') return sharedBreakerStore;
+    if (s === 'localStorage') return new LocalStorageStore({ prefix: 'grab-circuit:' });
+    if (s === 'indexedDB') return new IndexedDBStore({ dbName: 'grab-circuit' });
+    if (s === 'file') return new FileStore({ dir: '.grab-circuit' });
+    return null;
+};
+
 const normalizeRetry = (r = {}) => ({
     attempts: r.attempts >= 0 ? clamp(toInt(r.attempts, DEFAULT_RETRY_ATTEMPTS), 0, 10) : DEFAULT_RETRY_ATTEMPTS,
     delay: typeof r.delay === 'function' ? r.delay :
         isNum(r.delay) && r.delay >= 0 ? r.delay : null,
     condition: typeof r.condition === 'function' ? r.condition : null,
-    respectRetryAfter: r.respectRetryAfter !== false
+    onRetry: typeof r.onRetry === 'function' ? r.onRetry : null,
+    methods: Array.isArray(r.methods) ? r.methods.map(m => String(m).toUpperCase()) : IDEMPOTENT_METHODS,
+    respectRetryAfter: r.respectRetryAfter !== false,
+    maxRetryAfter: isNum(r.maxRetryAfter) && r.maxRetryAfter >= 0 ? r.maxRetryAfter : MAX_BACKOFF,
+    failFastOnRetryAfter: r.failFastOnRetryAfter === true,
+    budget: normalizeRetryBudget(r.budget)
 });
 
+const normalizeRetryBudget = (b) => {
+    if (b === true) b = {};
+    if (!b || typeof b !== 'object') return null;
+    return {
+        ratio: isNum(b.ratio) && b.ratio >= 0 ? b.ratio : 0.2,
+        minPerSecond: isNum(b.minPerSecond) && b.minPerSecond >= 0 ? b.minPerSecond : 1,
+        window: isNum(b.window) && b.window >= 1000 ? b.window : 10000
+    };
+};
+
+const normalizeIdempotency = (i) => {
+    if (i === true) i = {};
+    if (!i || typeof i !== 'object') return null;
+    return {
+        header: typeof i.header === 'string' && i.header ? i.header : 'Idempotency-Key',
+        methods: Array.isArray(i.methods) ? i.methods.map(m => String(m).toUpperCase()) : ['POST', 'PATCH'],
+        generate: typeof i.generate === 'function' ? i.generate : randomId
+    };
+};
+
 const normalizeCircuitBreaker = (c = {}) => ({
     failureThreshold: Math.max(1, Math.min(100, +c.failureThreshold || 5)),
     resetTimeout: Math.max(1000, Math.min(3600000, +c.resetTimeout || 60000)),
-    fallback: typeof c.fallback === 'function' ? c.fallback : null
+    fallback: typeof c.fallback === 'function' ? c.fallback : null,
+    onStateChange: typeof c.onStateChange === 'function' ? c.onStateChange : null,
+    store: normalizeBreakerStore(c.store),
+    name: typeof c.name === 'string' ? c.name : '',
+    syncInterval: isNum(c.syncInterval) && c.syncInterval >= 0 ? c.syncInterval : 1000,
+    policy: c.policy === 'rate' ? 'rate' : 'consecutive',
+    windowType: c.windowType === 'count' ? 'count' : 'time',
+    windowSize: +c.windowSize > 0 ? +c.windowSize : c.windowType === 'count' ? 100 : 60000,
+    failureRateThreshold: clamp(+c.failureRateThreshold || 0.5, 0.01, 1),
+    minimumRequests: Math.max(1, toInt(c.minimumRequests, 10)),
+    slowCallThreshold: Math.max(0, +c.slowCallThreshold || 0),
+    halfOpenRequests: clamp(toInt(c.halfOpenRequests, 1), 1, 100),
+    halfOpenSuccessRatio: clamp(+c.halfOpenSuccessRatio || 1, 0.01, 1),
+    backoffMultiplier: Math.max(1, +c.backoffMultiplier || 1),
+    maxResetTimeout: clamp(+c.maxResetTimeout || 3600000, 1000, 86400000),
+    healthCheck: typeof c.healthCheck === 'function' || (typeof c.healthCheck === 'string' && c.healthCheck)
+        ? c.healthCheck
+        : null,
+    scope: typeof c.scope === 'function' || ['origin', 'route'].includes(c.scope) ? c.scope : 'global',
+    routes: normalizePatterns(c.routes),
+    breakers: normalizeBreakerOverrides(c.breakers)
 });
 
+const normalizeBreakerOverrides = (breakers) => {
+    if (!breakers || typeof breakers !== 'object') return {};
+    const clean = {};
+    for (const [key, options] of Object.entries(breakers)) {
+        if (options && typeof options === 'object') clean[key] = options;
+    }
+    return clean;
+};
+
+const normalizeBucket = (b) => isNum(b.requests) && b.requests > 0
+    ? {
+        requests: b.requests,
+        per: isNum(b.per) && b.per > 0 ? b.per : 1000,
+        burst: isNum(b.burst) && b.burst >= 1 ? b.burst : b.requests
+    }
+    : null;
+
+// null when there's nothing to limit
+const normalizeRateLimit = (r) => {
+    if (!r || typeof r !== 'object') return null;
+
+    const routes = Array.isArray(r.routes)
+        ? r.routes
+            .filter(route => route && (typeof route.url === 'string' || route.url instanceof RegExp) && normalizeBucket(route))
+            .map(route => ({ url: typeof route.url === 'string' ? new RegExp(route.url) : route.url, ...normalizeBucket(route) }))
+        : [];
+    const global = normalizeBucket(r);
+    const adaptive = r.adaptive === true;
+    if (!global && !routes.length && !adaptive) return null;
+
+    return { ...global, routes, adaptive };
+};
+
+// null when there's nothing to limit
+const normalizeConcurrency = (c) => {
+    if (!c || typeof c !== 'object') return null;
+
+    const limit = (n) => isNum(n) && n >= 1 ? Math.floor(n) : 0;
+    const maxConcurrent = limit(c.maxConcurrent);
+    const maxConcurrentPerOrigin = limit(c.maxConcurrentPerOrigin);
+    if (!maxConcurrent && !maxConcurrentPerOrigin) return null;
+
+    return {
+        maxConcurrent,
+        maxConcurrentPerOrigin,
+        maxQueue: isNum(c.maxQueue) && c.maxQueue >= 0 ? Math.floor(c.maxQueue) : Infinity,
+        queueTimeout: isNum(c.queueTimeout) && c.queueTimeout > 0 ? c.queueTimeout : 0,
+        priorityAging: isNum(c.priorityAging) && c.priorityAging >= 0 ? c.priorityAging : 5000
+    };
+};
+
 const normalizeHeaders = (headers) => {
     if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
         return { 'Content-Type': 'application/json' };
@@ -908,22 +2749,140 @@ const callErrorInterceptors = async (interceptors, error) => {
 
 // Utility functions
 
+const emptyCounters = () => ({
+    hits: 0, misses: 0, staleHits: 0, revalidations: 0, evictions: 0, dedupJoins: 0
+});
+
+const withHitRatio = (counters) => {
+    const served = counters.hits + counters.staleHits;
+    const lookups = served + counters.misses;
+    return { ...counters, hitRatio: lookups ? served / lookups : 0 };
+};
+
+const isServiceFailure = (error) => error instanceof NetworkError || error instanceof TimeoutError ||
+    error instanceof CircuitOpenError || (error instanceof HttpError && error.status >= 500);
+
+const isResponseLike = (value) => value !== null && typeof value === 'object' && 'status' in value && 'data' in value;
+
 const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
 
+// 'high' and 'low' are one level either side of the default; numbers are used as they are
+const priorityRank = (priority) => {
+    if (priority === 'high') return 1;
+    if (priority === 'low') return -1;
+    return isNum(priority) ? priority : 0;
+};
+
+const abortError = (signal) => {
+    if (signal.reason instanceof Error) return signal.reason;
+    const error = new Error('Request aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+const originOf = (url) => {
+    try {
+        return new URL(url, typeof location !== 'undefined' ? location.href : undefined).origin;
+    } catch {
+        return null;
+    }
+};
+
+const randomId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Non-cryptographic 106-bit digest (two seeded cyrb53 runs) - synchronous in every runtime
+ */
+function digest(str) {
+    return cyrb53(str, 0).toString(36) + cyrb53(str, 1).toString(36);
+}
+
+function cyrb53(str, seed) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
 function findHeader(headers, name) {
     const lowerName = name.toLowerCase();
-    for (const [key, value] of Object.entries(headers)) {
+    for (const key in headers) {
         if (key.toLowerCase() === lowerName) {
-            return value;
+            return headers[key];
         }
     }
     return null;
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Storage is best-effort: a failing store must never fail the request
+ */
+async function bestEffort(fn) {
+    try {
+        return await fn();
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Call a user hook (metrics, state changes, retries); a broken hook must not break requests
+ */
+function notify(hook, ...args) {
+    try {
+        hook(...args);
+    } catch {
+        // ignored
+    }
+}
+
+function sleep(ms, signal) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(abortError(signal));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
+/**
+ * RateLimit-Reset in ms: delta seconds, or epoch seconds for large values (X-RateLimit-Reset)
+ */
+const resetDelay = (value) => {
+    const n = parseFloat(value);
+    if (!isFinite(n) || n <= 0) return 0;
+    return n > 1e9 ? Math.max(0, n * 1000 - Date.now()) : n * 1000;
+};
+
+// Retry-After is delta seconds or an HTTP-date; null when missing or unparseable
+const parseRetryAfter = (value) => {
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
 const isNum = (n) => typeof n === 'number' && isFinite(n);
 
 function isObject(value) {
@@ -961,6 +2920,107 @@ function guessResourceType(url) {
     return 'fetch';
 }
 
+// ETag without its weak (W/) prefix
+const opaqueTag = (etag) => etag.startsWith('W/') ? etag.slice(2) : etag;
+
+function parseCacheControl(value) {
+    const directives = {};
+    (value || '').split(',').forEach(part => {
+        const [name, arg] = part.split('=');
+        if (name.trim()) directives[name.trim().toLowerCase()] = arg ? arg.trim().replace(/^"|"$/g, '') : true;
+    });
+    return directives;
+}
+
+/**
+ * Derive cache policy from response headers (Cache-Control, Expires, Age, Vary)
+ * Returns null when the response must not be stored, ttl null when the server didn't say
+ */
+function cachePolicy(headers) {
+    const cc = parseCacheControl(headers.get('cache-control'));
+    const vary = headers.get('vary');
+
+    if (cc['no-store'] || cc['private'] || (vary && vary.trim() === '*')) {
+        return null;
+    }
+
+    let ttl = null;
+    if (cc['no-cache']) {
+        ttl = 0;
+    } else if (cc['max-age'] !== undefined || cc['s-maxage'] !== undefined) {
+        ttl = toInt(cc['max-age'] ?? cc['s-maxage'], 0) * 1000;
+    } else if (headers.get('expires')) {
+        // Invalid Expires values mean "already expired"
+        const expires = Date.parse(headers.get('expires'));
+        const date = Date.parse(headers.get('date')) || Date.now();
+        ttl = isNaN(expires) ? 0 : expires - date;
+    }
+
+    if (ttl !== null) {
+        ttl = Math.max(0, ttl - toInt(headers.get('age'), 0) * 1000);
+    }
+
+    return {
+        ttl,
+        mustRevalidate: !!(cc['no-cache'] || cc['must-revalidate']),
+        vary: vary ? vary.split(',').map(name => name.trim().toLowerCase()).filter(Boolean) : []
+    };
+}
+
+/**
+ * Approximate size of a response body in bytes
+ */
+function sizeOf(data) {
+    if (data == null) return 0;
+    if (typeof data === 'string') return data.length;
+    if (isBlob(data)) return data.size;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+    return jsonSize(data, 0);
+}
+
+// Length JSON.stringify would produce, without building the string
+function jsonSize(value, depth) {
+    if (value == null) return 4;
+    if (typeof value === 'string') return value.length + 2;
+    if (typeof value !== 'object') return String(value).length;
+    if (depth > 64) return 0;
+
+    let size = 2;
+    if (Array.isArray(value)) {
+        for (const item of value) size += jsonSize(item, depth + 1) + 1;
+    } else {
+        for (const key in value) size += key.length + 4 + jsonSize(value[key], depth + 1);
+    }
+    return size;
+}
+
+function isBinary(value) {
+    return isBlob(value) ||
+        value instanceof ArrayBuffer ||
+        ArrayBuffer.isView(value) ||
+        (value != null && typeof value.getReader === 'function');
+}
+
+/**
+ * Cache entry <-> plain record for persistent stores
+ * Binary and stream bodies aren't persisted (toRecord returns null); records
+ * without a response (circuit breaker state) pass through as they are
+ */
+function toRecord(entry) {
+    if (!entry.data) return entry;
+    if (isBinary(entry.data.data)) return null;
+    const headers = entry.data.headers ? Array.from(entry.data.headers) : [];
+    // Attempt errors hold live Response objects, which don't serialize
+    return { ...entry, data: { ...entry.data, headers, errors: [] } };
+}
+
+function fromRecord(record) {
+    if (!record) return undefined;
+    if (!record.data) return record;
+    const headers = typeof Headers !== 'undefined' ? new Headers(record.data.headers) : new Map(record.data.headers);
+    return { ...record, data: { ...record.data, headers } };
+}
+
 /**
  * Parse response with size limits
  */
@@ -993,9 +3053,16 @@ async function parseResponse(response, responseType, maxSize) {
     }
 }
 
-export { Grab, HttpError, NetworkError, TimeoutError };
+export {
+    Grab, HttpError, NetworkError, TimeoutError, CircuitOpenError, QueueFullError, CacheMissError,
+    MemoryStore, LocalStorageStore, IndexedDBStore, FileStore
+};
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Grab, HttpError, NetworkError, TimeoutError };
-    module.exports.default = { Grab, HttpError, NetworkError, TimeoutError };
+    const exported = {
+        Grab, HttpError, NetworkError, TimeoutError, CircuitOpenError, QueueFullError, CacheMissError,
+        MemoryStore, LocalStorageStore, IndexedDBStore, FileStore
+    };
+    module.exports = exported;
+    module.exports.default = exported;
 }
\ No newline at end of file
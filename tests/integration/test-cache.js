@@ -0,0 +1,661 @@
+#!/usr/bin/env node
+'use strict';
+
+import assert from 'assert';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Grab, CacheMissError, MemoryStore, LocalStorageStore, FileStore } from '../../src/Grab.js';
+
+const { ok, strictEqual, deepStrictEqual } = assert;
+
+const test = (name, fn) => fn().then(() => console.log(`✓ ${name}`));
+
+const createCountingMock = () => {
+    const mock = (url) => {
+        mock.calls++;
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json'], ['etag', `"v${mock.calls}"`]]),
+            url,
+            json: () => Promise.resolve({ call: mock.calls })
+        });
+    };
+    mock.calls = 0;
+    return mock;
+};
+
+const createHeaderMock = (headers) => {
+    const mock = (url) => {
+        mock.calls++;
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json'], ...Object.entries(headers)]),
+            url,
+            json: () => Promise.resolve({ call: mock.calls })
+        });
+    };
+    mock.calls = 0;
+    return mock;
+};
+
+// Minimal Storage implementation for Node
+const createFakeStorage = () => {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: (i) => Array.from(items.keys())[i] ?? null,
+        getItem: (k) => items.has(k) ? items.get(k) : null,
+        setItem: (k, v) => items.set(k, String(v)),
+        removeItem: (k) => items.delete(k)
+    };
+};
+
+// Pretend every cached entry just expired
+const expireAll = (api) => {
+    for (const meta of api.cache.index.values()) meta.expires = Date.now() - 1;
+};
+
+// Test: Memory store is the default
+async function testDefaultStore() {
+    global.fetch = createCountingMock();
+
+    const api = new Grab();
+    await api.get('/users/1');
+    const cached = await api.get('/users/1');
+
+    ok(cached.fromCache, 'Second call should be served from cache');
+    strictEqual(global.fetch.calls, 1, 'Should only hit the network once');
+    strictEqual(api.getCacheStats().store, 'memory', 'Should report memory store');
+
+    delete global.fetch;
+}
+
+// Test: localStorage store survives a new instance
+async function testLocalStorageStore() {
+    global.fetch = createCountingMock();
+    const storage = createFakeStorage();
+
+    const first = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    await first.get('/users/1');
+
+    const second = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    const response = await second.get('/users/1');
+
+    ok(response.fromCache, 'New instance should read persisted entry');
+    deepStrictEqual(response.data, { call: 1 }, 'Persisted data should round-trip');
+    strictEqual(response.headers.get('etag'), '"v1"', 'Headers should be restored');
+    strictEqual(second.getCacheStats().store, 'localStorage', 'Should report localStorage store');
+    strictEqual(global.fetch.calls, 1, 'Should not refetch persisted entry');
+
+    await second.get('/me', { headers: { Authorization: 'Bearer s3cr3t-token' } });
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        ok(!(key + storage.getItem(key)).includes('s3cr3t-token'), 'Auth header values must not be persisted');
+    }
+
+    const child = second.create({ timeout: 5000 });
+    strictEqual(child.getCacheStats().store, 'localStorage', 'create() should keep the store');
+    ok((await child.get('/users/1')).fromCache, 'Child should read the same persisted entries');
+    strictEqual(new Grab().create().getCacheStats().store, 'memory');
+
+    second.clearCache();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    strictEqual(storage.length, 0, 'clearCache should empty the store');
+
+    delete global.fetch;
+}
+
+// Test: File store survives a new instance
+async function testFileStore() {
+    global.fetch = createCountingMock();
+    const dir = await mkdtemp(join(tmpdir(), 'grab-cache-'));
+
+    try {
+        const first = new Grab({ cache: { store: new FileStore({ dir }) } });
+        await first.get('/users/1', { params: { full: true } });
+
+        const second = new Grab({ cache: { store: new FileStore({ dir }) } });
+        const response = await second.get('/users/1', { params: { full: true } });
+
+        ok(response.fromCache, 'New instance should read persisted entry');
+        strictEqual(second.getCacheStats().size, 1, 'Persisted entry should be indexed');
+        strictEqual(second.getCacheStats().store, 'file', 'Should report file store');
+        strictEqual(global.fetch.calls, 1, 'Should not refetch persisted entry');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+
+    delete global.fetch;
+}
+
+// Test: Custom stores and failing stores
+async function testCustomStore() {
+    global.fetch = createCountingMock();
+
+    const broken = {
+        name: 'broken',
+        get: () => Promise.reject(new Error('disk on fire')),
+        set: () => Promise.reject(new Error('disk on fire')),
+        delete: () => {},
+        keys: () => [],
+        clear: () => {}
+    };
+
+    const api = new Grab({ cache: { store: broken } });
+    const response = await api.get('/users/1');
+
+    strictEqual(response.status, 200, 'A failing store should not fail the request');
+    strictEqual(api.getCacheStats().store, 'broken', 'Should report custom store name');
+
+    const fallback = new Grab({ cache: { store: { get: () => {} } } });
+    ok(fallback.cache.store instanceof MemoryStore, 'Incomplete stores should fall back to memory');
+
+    delete global.fetch;
+}
+
+// Test: Stale-while-revalidate serves stale and refreshes in the background
+async function testStaleWhileRevalidate() {
+    global.fetch = createCountingMock();
+
+    const api = new Grab({ cache: { staleWhileRevalidate: true } });
+    await api.get('/users/1');
+    expireAll(api);
+
+    const stale = await api.get('/users/1');
+    ok(stale.stale, 'Expired entry should be flagged stale');
+    deepStrictEqual(stale.data, { call: 1 }, 'Should serve the old data');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    strictEqual(global.fetch.calls, 2, 'Should revalidate in the background');
+
+    const fresh = await api.get('/users/1');
+    ok(fresh.fromCache && !fresh.stale, 'Refreshed entry should be fresh');
+    deepStrictEqual(fresh.data, { call: 2 }, 'Cache should hold the refreshed data');
+
+    delete global.fetch;
+}
+
+// Test: Stale-if-error serves stale when the network fails
+async function testStaleIfError() {
+    global.fetch = createCountingMock();
+
+    const api = new Grab({ cache: { staleIfError: 60000 }, retry: { attempts: 1 } });
+    await api.get('/users/1');
+    expireAll(api);
+
+    global.fetch = () => Promise.reject(new Error('Network connection failed'));
+    const response = await api.get('/users/1');
+
+    ok(response.stale, 'Should fall back to the stale entry');
+    deepStrictEqual(response.data, { call: 1 }, 'Should serve the old data');
+
+    // A 404 is a real answer - not a reason to serve stale data
+    global.fetch = (url) => Promise.resolve({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        headers: new Map([['content-type', 'application/json']]),
+        url,
+        json: () => Promise.resolve({})
+    });
+    try {
+        await api.get('/users/1');
+        assert.fail('Should throw on 404');
+    } catch (error) {
+        strictEqual(error.status, 404, 'Should surface the 404');
+    }
+
+    // An aborted caller gets the abort, not stale data
+    global.fetch = (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+    const controller = new AbortController();
+    const aborted = api.get('/users/1', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+    const outcome = await aborted.then(response => response, error => error);
+    ok(outcome instanceof Error, `Aborted request should reject, not resolve with stale data (${outcome.stale})`);
+
+    const strict = new Grab({ retry: { attempts: 1 } });
+    global.fetch = createCountingMock();
+    await strict.get('/users/1');
+    expireAll(strict);
+    global.fetch = () => Promise.reject(new Error('Network connection failed'));
+
+    try {
+        await strict.get('/users/1');
+        assert.fail('Should throw without staleIfError');
+    } catch (error) {
+        strictEqual(error.name, 'NetworkError', 'Should surface the network error');
+    }
+
+    delete global.fetch;
+}
+
+// Test: Cache-Control / Expires / Age drive freshness with respectHeaders
+async function testRespectHeaders() {
+    global.fetch = createHeaderMock({ 'cache-control': 'public, max-age=120', 'age': '20' });
+    const api = new Grab({ cache: { respectHeaders: true } });
+    await api.get('/users/1');
+    const [meta] = api.cache.index.values();
+    const ttl = meta.expires - Date.now();
+    ok(ttl > 95000 && ttl <= 100000, `max-age minus Age should set ttl, got ${ttl}`);
+
+    for (const cacheControl of ['no-store', 'private, max-age=60']) {
+        global.fetch = createHeaderMock({ 'cache-control': cacheControl });
+        const strict = new Grab({ cache: { respectHeaders: true } });
+        await strict.get('/users/1');
+        await strict.get('/users/1');
+        strictEqual(global.fetch.calls, 2, `${cacheControl} responses should not be cached`);
+    }
+
+    global.fetch = createHeaderMock({ 'expires': new Date(Date.now() + 10000).toUTCString() });
+    const expiring = new Grab({ cache: { respectHeaders: true } });
+    await expiring.get('/users/1');
+    const [expiringMeta] = expiring.cache.index.values();
+    ok(expiringMeta.expires - Date.now() <= 10000, 'Expires should set ttl');
+
+    global.fetch = createHeaderMock({ 'cache-control': 'no-store' });
+    const loose = new Grab();
+    await loose.get('/users/1');
+    await loose.get('/users/1');
+    strictEqual(global.fetch.calls, 1, 'Headers should be ignored by default');
+
+    delete global.fetch;
+}
+
+// Test: Vary request headers become part of the cache key
+async function testVary() {
+    global.fetch = createHeaderMock({ 'vary': 'Accept-Language' });
+    const api = new Grab({ cache: { respectHeaders: true } });
+
+    await api.get('/greeting', { headers: { 'Accept-Language': 'en' } });
+    const english = await api.get('/greeting', { headers: { 'Accept-Language': 'en' } });
+    ok(english.fromCache, 'Same Accept-Language should hit the cache');
+
+    const german = await api.get('/greeting', { headers: { 'Accept-Language': 'de' } });
+    ok(!german.fromCache, 'Different Accept-Language should miss');
+    strictEqual(global.fetch.calls, 2, 'Should fetch once per language');
+
+    global.fetch = createHeaderMock({ 'vary': '*' });
+    const wildcard = new Grab({ cache: { respectHeaders: true } });
+    await wildcard.get('/greeting');
+    await wildcard.get('/greeting');
+    strictEqual(global.fetch.calls, 2, 'Vary: * should not be cached');
+
+    delete global.fetch;
+}
+
+// Mock that answers conditional requests with 304 and the given validators
+const createConditionalMock = (validators, notModifiedHeaders = validators) => {
+    const mock = (url, options) => {
+        mock.calls++;
+        mock.requests.push(options.headers);
+        const conditional = options.headers['If-None-Match'] || options.headers['If-Modified-Since'];
+        return Promise.resolve({
+            ok: true,
+            status: conditional ? 304 : 200,
+            statusText: conditional ? 'Not Modified' : 'OK',
+            headers: new Map([['content-type', 'application/json'], ...Object.entries(conditional ? notModifiedHeaders : validators)]),
+            url,
+            json: () => Promise.resolve({ call: mock.calls })
+        });
+    };
+    mock.calls = 0;
+    mock.requests = [];
+    return mock;
+};
+
+// Test: Last-Modified revalidation with If-Modified-Since
+async function testLastModified() {
+    const lastModified = 'Wed, 21 Oct 2026 07:28:00 GMT';
+    global.fetch = createConditionalMock({ 'last-modified': lastModified });
+
+    const api = new Grab();
+    await api.get('/files/report.json');
+    expireAll(api);
+
+    const response = await api.get('/files/report.json');
+    strictEqual(global.fetch.requests[1]['If-Modified-Since'], lastModified, 'Should send If-Modified-Since');
+    ok(response.fromCache, '304 should be served from cache');
+    deepStrictEqual(response.data, { call: 1 }, 'Should keep the cached body');
+
+    const again = await api.get('/files/report.json');
+    ok(again.fromCache, 'Entry should be fresh again after 304');
+    strictEqual(global.fetch.calls, 2, 'Should not revalidate a refreshed entry');
+
+    delete global.fetch;
+}
+
+// Test: Weak vs strong ETag matching on 304
+async function testValidatorStrength() {
+    global.fetch = createConditionalMock({ 'etag': 'W/"v1"' });
+    const weak = new Grab();
+    await weak.get('/users/1');
+    expireAll(weak);
+    const weakResponse = await weak.get('/users/1');
+    strictEqual(global.fetch.requests[1]['If-None-Match'], 'W/"v1"', 'Should send the weak ETag');
+    ok(weakResponse.fromCache, 'Matching weak ETag should refresh the entry');
+
+    global.fetch = createConditionalMock({ 'etag': '"v1"' }, { 'etag': '"v2"' });
+    const strong = new Grab();
+    await strong.get('/users/1');
+    expireAll(strong);
+    const strongResponse = await strong.get('/users/1');
+    strictEqual(global.fetch.calls, 3, 'Mismatched 304 should trigger an unconditional refetch');
+    ok(!strongResponse.fromCache, 'Refetched response should come from the network');
+    deepStrictEqual(strongResponse.data, { call: 3 }, 'Should return the refetched body');
+
+    delete global.fetch;
+}
+
+// Test: Tags, predicates and mutation rules
+async function testInvalidation() {
+    global.fetch = createCountingMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.test.com',
+        cache: {
+            invalidationRules: [
+                { url: /\/users\/(\d+)$/, methods: ['PUT', 'DELETE'], tags: (match) => [`user:${match[1]}`] },
+                { url: /\/posts/ }
+            ]
+        }
+    });
+
+    await api.get('/users/1', { cacheTags: ['user:1', 'users'] });
+    await api.get('/users/2', { cacheTags: ['user:2', 'users'] });
+    await api.get('/posts', { params: { page: 1 } });
+    await api.get('/posts', { params: { page: 2 } });
+
+    strictEqual(api.invalidateCache(entry => entry.url.endsWith('/posts') && entry.params.page === 2), 1,
+        'Predicate should see structured entries');
+
+    await api.put('/users/1', { body: { name: 'Ada' } });
+    strictEqual(api.getCacheStats().size, 2, 'PUT should invalidate the tagged user');
+
+    await api.post('/posts', { body: { title: 'Hi' } });
+    strictEqual(api.getCacheStats().size, 1, 'POST should invalidate GETs under the rule URL');
+
+    strictEqual(api.invalidateCacheTags('users'), 1, 'Should invalidate by tag');
+    strictEqual(api.getCacheStats().size, 0, 'Cache should be empty');
+
+    delete global.fetch;
+}
+
+// Test: invalidating right after a reload still finds persisted entries
+async function testInvalidationAfterReload() {
+    global.fetch = createCountingMock();
+    const storage = createFakeStorage();
+
+    const before = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    await before.get('/users/1', { cacheTags: ['users'] });
+    await before.get('/users/2', { cacheTags: ['users'] });
+    await before.get('/posts/1');
+
+    // Invalidated before the persisted entries are indexed - they are dropped once read
+    const reloaded = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    strictEqual(typeof reloaded.invalidateCache(/users\/1/), 'number', 'Count should stay synchronous');
+    reloaded.invalidateCacheTags('users');
+
+    ok(!(await reloaded.get('/users/1')).fromCache, 'Regex should reach persisted entries');
+    ok(!(await reloaded.get('/users/2')).fromCache, 'Tags should reach persisted entries');
+    ok((await reloaded.get('/posts/1')).fromCache, 'Other entries should survive');
+    strictEqual(global.fetch.calls, 5);
+
+    // Once indexed, the count covers persisted entries
+    const later = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    strictEqual(later.invalidateCache(/posts/), 1);
+
+    const third = new Grab({ cache: { store: new LocalStorageStore({ storage }) } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    strictEqual(third.getCacheStats().size, 2, 'Stats should count persisted entries before any request');
+
+    delete global.fetch;
+}
+
+// Test: Byte budget eviction
+async function testByteBudget() {
+    global.fetch = (url) => Promise.resolve({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Map([['content-type', 'text/plain']]),
+        url,
+        text: () => Promise.resolve('x'.repeat(url.includes('/huge') ? 5000 : 400))
+    });
+
+    const api = new Grab({ cache: { maxBytes: 1000, maxEntryBytes: 2000 } });
+
+    await api.get('/a');
+    await api.get('/b');
+    await api.get('/a');
+    strictEqual(api.getCacheStats().bytes, 800, 'Should account entry sizes');
+
+    await api.get('/c');
+    const stats = api.getCacheStats();
+    strictEqual(stats.size, 2, 'Should evict to stay under maxBytes');
+    strictEqual(stats.bytes, 800, 'Bytes should stay under budget');
+    strictEqual(stats.maxBytes, 1000, 'Should report maxBytes');
+    ok((await api.get('/a')).fromCache, 'Recently used entry should survive');
+    ok(!(await api.get('/b')).fromCache, 'Least recently used entry should be evicted');
+
+    await api.get('/huge');
+    await api.get('/huge');
+    ok(api.getCacheStats().bytes <= 1000, 'Entries over maxEntryBytes should not be cached');
+
+    api.clearCache();
+    strictEqual(api.getCacheStats().bytes, 0, 'clearCache should reset bytes');
+
+    delete global.fetch;
+}
+
+// Test: Hit/miss/revalidation counters and event hook
+async function testCacheMetrics() {
+    global.fetch = createConditionalMock({ 'etag': '"v1"' });
+    const events = [];
+
+    const api = new Grab({
+        cache: {
+            statsPatterns: { users: /\/users\// },
+            onEvent: (event) => events.push(`${event.type} ${event.url}`)
+        }
+    });
+
+    await Promise.all([api.get('/users/1'), api.get('/users/1')]);
+    await api.get('/users/1');
+    await api.get('/posts');
+    expireAll(api);
+    await api.get('/users/1');
+
+    const stats = api.getCacheStats();
+    strictEqual(stats.hits, 1, 'Should count hits');
+    strictEqual(stats.misses, 3, 'Should count misses');
+    strictEqual(stats.dedupJoins, 1, 'Should count dedup joins');
+    strictEqual(stats.revalidations, 1, 'Should count 304 revalidations');
+    strictEqual(stats.hitRatio, 0.25, 'Should compute hit ratio');
+    strictEqual(stats.byPattern.users.misses, 2, 'Should break down by pattern');
+    strictEqual(stats.byPattern.users.hits, 1, 'Pattern should count its own hits');
+    ok(events.includes('dedup /users/1') && events.includes('revalidation /users/1'), 'Should report events');
+
+    api.resetCacheStats();
+    const reset = api.getCacheStats();
+    strictEqual(reset.misses + reset.hits + reset.byPattern.users.misses, 0, 'resetCacheStats should zero counters');
+
+    delete global.fetch;
+}
+
+// Test: Cross-tab sharing over BroadcastChannel
+async function testShareAcrossTabs() {
+    let calls = 0;
+    global.fetch = (url, options) => {
+        calls++;
+        return new Promise(resolve => setTimeout(() => resolve({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json']]),
+            url,
+            json: () => Promise.resolve({ user: options.headers.Authorization })
+        }), 30));
+    };
+
+    const channel = `grab-test-${Date.now()}`;
+    const tabA = new Grab({ cache: { shareAcrossTabs: channel } });
+    const tabB = new Grab({ cache: { shareAcrossTabs: channel } });
+    const alice = { headers: { Authorization: 'Bearer alice' } };
+
+    const first = tabA.get('/me', alice);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const [fromA, fromB] = await Promise.all([first, tabB.get('/me', alice)]);
+
+    strictEqual(calls, 1, 'Second tab should join the in-flight request');
+    deepStrictEqual(fromB.data, fromA.data, 'Both tabs should see the same data');
+    ok(fromB.fromCache, 'Second tab should be served from the shared write');
+    strictEqual(tabB.getCacheStats().dedupJoins, 1, 'Should count the cross-tab join');
+
+    const bob = await tabB.get('/me', { headers: { Authorization: 'Bearer bob' } });
+    strictEqual(bob.data.user, 'Bearer bob', 'Different users must not share entries');
+    strictEqual(calls, 2, 'Different user should fetch separately');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    tabA.invalidateCache(() => true);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    strictEqual(tabB.getCacheStats().size, 0, 'Invalidations should reach other tabs');
+
+    // Malformed messages from other code on the channel are ignored, not thrown or left unhandled
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const rogue = new BroadcastChannel(channel);
+    rogue.postMessage({ type: 'delete' });
+    rogue.postMessage({ type: 'set', key: 'x', entry: { expires: Date.now() + 1000 } });
+    rogue.postMessage({ type: 'set', key: 'y' });
+    rogue.postMessage({ type: 'vary', base: 'z' });
+    rogue.postMessage({ type: 'pending' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    rogue.close();
+    process.off('unhandledRejection', onUnhandled);
+    deepStrictEqual(unhandled, [], 'Malformed messages should not cause unhandled rejections');
+    strictEqual(tabB.getCacheStats().size, 0, 'Malformed entries should not be stored');
+
+    delete global.fetch;
+}
+
+// Test: exportCache / hydrateCache round trip
+async function testSnapshot() {
+    global.fetch = createHeaderMock({ 'etag': '"v1"', 'set-cookie': 'session=secret' });
+
+    const server = new Grab({ baseUrl: 'https://api.test.com' });
+    await server.get('/products', { params: { page: 1 } });
+    await server.get('/me', { headers: { Authorization: 'Bearer secret' } });
+
+    const snapshot = JSON.parse(JSON.stringify(await server.exportCache()));
+    strictEqual(snapshot.entries.length, 1, 'Auth-keyed entries should be excluded by default');
+    ok(!JSON.stringify(snapshot).includes('session=secret'), 'Only whitelisted headers should be exported');
+
+    const withAuth = await server.exportCache({ includeAuth: true });
+    strictEqual(withAuth.entries.length, 2, 'includeAuth should export everything');
+
+    // Auth set on the instance, the usual server-side setup
+    const perUser = new Grab({ baseUrl: 'https://api.test.com', headers: { Authorization: 'Bearer secret' } });
+    await perUser.get('/me');
+    strictEqual((await perUser.exportCache()).entries.length, 0, 'Instance auth headers should mark entries too');
+    strictEqual((await perUser.exportCache({ includeAuth: true })).entries.length, 1);
+
+    const client = new Grab({ baseUrl: 'https://api.test.com' });
+    strictEqual(await client.hydrateCache(snapshot), 1, 'Should restore one entry');
+
+    const response = await client.get('/products', { params: { page: 1 } });
+    ok(response.fromCache, 'First client get should be a cache hit');
+    deepStrictEqual(response.data, { call: 1 }, 'Should serve server-rendered data');
+    strictEqual(response.headers.get('etag'), '"v1"', 'Should keep exported headers');
+    strictEqual(global.fetch.calls, 3, 'Client should not refetch');
+
+    delete global.fetch;
+}
+
+// Test: Per-request cacheTtl, cacheKey, forceRefresh, onlyIfCached and dedupe
+async function testPerRequestOptions() {
+    global.fetch = createCountingMock();
+    const api = new Grab();
+
+    await api.get('/users/1', { cacheTtl: 2000 });
+    const [meta] = api.cache.index.values();
+    ok(meta.expires - Date.now() <= 2000, 'cacheTtl should override the ttl');
+
+    const refreshed = await api.get('/users/1', { forceRefresh: true });
+    ok(!refreshed.fromCache, 'forceRefresh should bypass the cache');
+    deepStrictEqual((await api.get('/users/1')).data, { call: 2 }, 'forceRefresh should still write');
+
+    await api.get('/users/1', { params: { v: 1 }, cacheKey: 'current-user' });
+    const custom = await api.get('/users/1', { params: { v: 2 }, cacheKey: 'current-user' });
+    ok(custom.fromCache, 'Same cacheKey should share an entry');
+
+    const cachedOnly = await api.get('/users/1', { onlyIfCached: true });
+    ok(cachedOnly.fromCache, 'onlyIfCached should serve cached entries');
+
+    const calls = global.fetch.calls;
+    try {
+        await api.get('/users/2', { onlyIfCached: true });
+        assert.fail('Should throw on miss');
+    } catch (error) {
+        ok(error instanceof CacheMissError, 'Should throw CacheMissError');
+        strictEqual(global.fetch.calls, calls, 'onlyIfCached should never hit the network');
+    }
+
+    await Promise.all([api.get('/posts'), api.get('/posts', { dedupe: false })]);
+    strictEqual(global.fetch.calls, calls + 2, 'dedupe: false should not join the in-flight request');
+
+    delete global.fetch;
+}
+
+// Main test runner
+async function runCacheTests() {
+    console.log('💾 Cache Tests\n');
+
+    const startTime = Date.now();
+
+    try {
+        await test('default memory store', testDefaultStore);
+        await test('localStorage store', testLocalStorageStore);
+        await test('file store', testFileStore);
+        await test('custom and failing stores', testCustomStore);
+        await test('stale-while-revalidate', testStaleWhileRevalidate);
+        await test('stale-if-error', testStaleIfError);
+        await test('Cache-Control, Expires and Age', testRespectHeaders);
+        await test('Vary', testVary);
+        await test('Last-Modified revalidation', testLastModified);
+        await test('weak vs strong validators', testValidatorStrength);
+        await test('tag, predicate and rule invalidation', testInvalidation);
+        await test('invalidation after reload', testInvalidationAfterReload);
+        await test('byte budget eviction', testByteBudget);
+        await test('cache metrics', testCacheMetrics);
+        await test('cross-tab sharing', testShareAcrossTabs);
+        await test('export and hydrate', testSnapshot);
+        await test('per-request cache options', testPerRequestOptions);
+
+        const duration = Date.now() - startTime;
+        console.log(`\n✅ All cache tests passed (${duration}ms)`);
+
+    } catch (error) {
+        console.error('❌ Cache test failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+process.on('exit', () => {
+    if (global.fetch) delete global.fetch;
+});
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runCacheTests();
+}
+
+export { runCacheTests };
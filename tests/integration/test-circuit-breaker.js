@@ -0,0 +1,608 @@
+#!/usr/bin/env node
+'use strict';
+
+import assert from 'assert';
+import { Grab, HttpError, CircuitOpenError, LocalStorageStore } from '../../src/Grab.js';
+
+const { ok, strictEqual, deepStrictEqual } = assert;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const test = (name, fn) => fn().then(() => console.log(`✓ ${name}`));
+
+// 500 for any URL matching `failing`, 200 otherwise
+const createRoutingMock = (failing) => {
+    const mock = (url) => {
+        mock.calls++;
+        const fails = failing.test(url);
+        return Promise.resolve({
+            ok: !fails,
+            status: fails ? 500 : 200,
+            statusText: fails ? 'Internal Server Error' : 'OK',
+            headers: new Map([['content-type', 'application/json']]),
+            url,
+            json: () => Promise.resolve({ url })
+        });
+    };
+    mock.calls = 0;
+    return mock;
+};
+
+const failTimes = async (api, url, times) => {
+    for (let i = 0; i < times; i++) {
+        await api.get(url, { cache: false }).catch(() => {});
+    }
+};
+
+// Test: one flaky origin doesn't block the others
+async function testOriginScope() {
+    global.fetch = createRoutingMock(/flaky\.example/);
+
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: { scope: 'origin', failureThreshold: 2 }
+    });
+
+    await failTimes(api, 'https://flaky.example/a', 2);
+
+    const stats = api.getCircuitBreakerStats();
+    strictEqual(stats.breakers['https://flaky.example'].state, 'OPEN', 'Flaky origin should trip');
+    strictEqual(stats.state, 'CLOSED', 'Default breaker should stay closed');
+
+    const response = await api.get('https://healthy.example/a', { cache: false });
+    strictEqual(response.status, 200, 'Healthy origin should still be reachable');
+    strictEqual(api.getCircuitBreakerStats().breakers['https://healthy.example'].state, 'CLOSED');
+
+    const calls = global.fetch.calls;
+    try {
+        await api.get('https://flaky.example/b', { cache: false });
+        assert.fail('Open breaker should fail fast');
+    } catch (error) {
+        ok(error instanceof CircuitOpenError, 'Should be short-circuited, not an HTTP error');
+        strictEqual(error.key, 'https://flaky.example');
+        strictEqual(error.state, 'OPEN');
+        ok(error.nextProbeIn > 0, 'Should say when the next probe is due');
+        ok(error.lastError instanceof HttpError, 'Should carry the last failure');
+        strictEqual(global.fetch.calls, calls, 'Open breaker should not hit the network');
+    }
+
+    ok(!api.isHealthy(), 'Instance is unhealthy while any breaker is open');
+    ok(api.isHealthy('https://healthy.example'), 'Healthy breaker should report healthy');
+
+    api.resetCircuitBreaker('https://flaky.example');
+    ok(api.isHealthy(), 'Reset should close the breaker');
+
+    delete global.fetch;
+}
+
+// Test: named routes with their own thresholds
+async function testRouteScope() {
+    global.fetch = createRoutingMock(/\/(payments|search)/);
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            scope: 'route',
+            failureThreshold: 3,
+            routes: { payments: /\/payments/, search: '/search' },
+            breakers: { payments: { failureThreshold: 1 } }
+        }
+    });
+
+    await failTimes(api, '/payments/charge', 1);
+    await failTimes(api, '/search', 2);
+
+    const { breakers } = api.getCircuitBreakerStats();
+    strictEqual(breakers.payments.state, 'OPEN', 'Override threshold should apply');
+    strictEqual(breakers.search.state, 'CLOSED', 'Default threshold should apply');
+    strictEqual(breakers.search.failures, 2);
+
+    await api.get('/users', { cache: false });
+    deepStrictEqual(Object.keys(breakers).sort(), ['default', 'payments', 'search']);
+    strictEqual(api.getCircuitBreakerStats().breakers.default.successes, 1, 'Unmatched URLs use the default breaker');
+
+    delete global.fetch;
+}
+
+// Test: custom key function
+async function testCustomScope() {
+    global.fetch = createRoutingMock(/\/v1\//);
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            failureThreshold: 1,
+            scope: (url) => url.includes('/v1/') ? 'legacy' : 'current'
+        }
+    });
+
+    await failTimes(api, '/v1/users', 1);
+    const response = await api.get('/v2/users', { cache: false });
+
+    strictEqual(response.status, 200);
+    const { breakers } = api.getCircuitBreakerStats();
+    strictEqual(breakers.legacy.state, 'OPEN');
+    strictEqual(breakers.current.state, 'CLOSED');
+
+    delete global.fetch;
+}
+
+// Test: error-rate policy trips where consecutive counting never would
+async function testFailureRatePolicy() {
+    // Every other request to /flaky fails - never two failures in a row
+    let n = 0;
+    global.fetch = (url) => {
+        n++;
+        const fails = n % 2 === 0;
+        return Promise.resolve({
+            ok: !fails,
+            status: fails ? 500 : 200,
+            statusText: fails ? 'Internal Server Error' : 'OK',
+            headers: new Map([['content-type', 'application/json']]),
+            url,
+            json: () => Promise.resolve({ n })
+        });
+    };
+
+    const consecutive = new Grab({ retry: { attempts: 1 }, circuitBreaker: { failureThreshold: 2 } });
+    await failTimes(consecutive, '/flaky', 10);
+    strictEqual(consecutive.getCircuitBreakerStats().state, 'CLOSED', 'Alternating failures never trip consecutive mode');
+
+    n = 0;
+    const rate = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: { policy: 'rate', failureRateThreshold: 0.4, minimumRequests: 6, windowType: 'count', windowSize: 20 }
+    });
+
+    await failTimes(rate, '/flaky', 5);
+    strictEqual(rate.getCircuitBreakerStats().state, 'CLOSED', 'Below minimum volume should not trip');
+
+    await failTimes(rate, '/flaky', 1);
+    const stats = rate.getCircuitBreakerStats();
+    strictEqual(stats.state, 'OPEN', '50% failures over 6 calls should trip');
+    strictEqual(stats.policy, 'rate');
+    strictEqual(stats.failureRate, 0.5);
+    strictEqual(stats.windowCalls, 6);
+
+    // Count window keeps only the most recent calls
+    const small = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: { policy: 'rate', failureRateThreshold: 1, minimumRequests: 1, windowType: 'count', windowSize: 3 }
+    });
+    n = 0;
+    await failTimes(small, '/flaky', 6);
+    strictEqual(small.getCircuitBreakerStats().windowCalls, 3, 'Window should hold windowSize calls');
+
+    delete global.fetch;
+}
+
+// Test: slow calls count as failures
+async function testSlowCalls() {
+    global.fetch = (url) => new Promise(resolve => setTimeout(() => resolve({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Map([['content-type', 'application/json']]),
+        url,
+        json: () => Promise.resolve({})
+    }), 40));
+
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: { failureThreshold: 2, slowCallThreshold: 10 }
+    });
+
+    const response = await api.get('/slow', { cache: false });
+    strictEqual(response.status, 200, 'Slow responses are still returned');
+    await api.get('/slow', { cache: false });
+
+    const stats = api.getCircuitBreakerStats();
+    strictEqual(stats.slowCalls, 2);
+    strictEqual(stats.state, 'OPEN', 'Slow calls should trip the breaker');
+
+    // A fast answer after a retry delay is not a slow call
+    let calls = 0;
+    global.fetch = (url) => Promise.resolve({
+        ok: ++calls > 1,
+        status: calls > 1 ? 200 : 503,
+        statusText: calls > 1 ? 'OK' : 'Service Unavailable',
+        headers: new Map([['content-type', 'application/json']]),
+        url,
+        json: () => Promise.resolve({})
+    });
+
+    const retrying = new Grab({
+        retry: { attempts: 2, delay: 60 },
+        circuitBreaker: { failureThreshold: 1, slowCallThreshold: 30 }
+    });
+    await retrying.get('/flaky', { cache: false });
+    strictEqual(retrying.getCircuitBreakerStats().slowCalls, 0, 'Backoff should not count as latency');
+    strictEqual(retrying.getCircuitBreakerStats().state, 'CLOSED');
+
+    delete global.fetch;
+}
+
+// Pretend the breaker's reset timeout has elapsed
+const elapse = (breaker) => {
+    breaker.lastFailureTime -= breaker.currentResetTimeout() + 1;
+};
+
+// Test: several half-open probes, a success ratio to close, and backoff when they fail
+async function testHalfOpenProbes() {
+    let failing = true;
+    global.fetch = (url) => Promise.resolve({
+        ok: !failing,
+        status: failing ? 503 : 200,
+        statusText: failing ? 'Service Unavailable' : 'OK',
+        headers: new Map([['content-type', 'application/json']]),
+        url,
+        json: () => Promise.resolve({})
+    });
+
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            failureThreshold: 1,
+            resetTimeout: 1000,
+            halfOpenRequests: 3,
+            halfOpenSuccessRatio: 0.6,
+            backoffMultiplier: 2,
+            maxResetTimeout: 3000
+        }
+    });
+    const breaker = api.circuitBreaker;
+
+    await failTimes(api, '/svc', 1);
+    strictEqual(breaker.state, 'OPEN');
+
+    // Two of three probes fail - the ratio can no longer be met
+    elapse(breaker);
+    await failTimes(api, '/svc', 2);
+    strictEqual(breaker.state, 'OPEN', 'Failed probes should reopen the breaker');
+    strictEqual(breaker.currentResetTimeout(), 2000, 'Reset timeout should back off');
+
+    elapse(breaker);
+    await failTimes(api, '/svc', 2);
+    strictEqual(breaker.currentResetTimeout(), 3000, 'Backoff should stop at maxResetTimeout');
+
+    // Needs ceil(3 * 0.6) = 2 successful probes
+    elapse(breaker);
+    failing = false;
+    await api.get('/svc', { cache: false });
+    strictEqual(breaker.state, 'HALF_OPEN', 'One success is not enough');
+    await api.get('/svc', { cache: false });
+    strictEqual(breaker.state, 'CLOSED', 'Enough successful probes should close');
+    strictEqual(breaker.currentResetTimeout(), 1000, 'Closing should clear the backoff');
+
+    delete global.fetch;
+}
+
+// Test: an active health check closes the breaker instead of a user request
+async function testHealthCheck() {
+    global.fetch = createRoutingMock(/\/svc/);
+
+    let healthy = false;
+    let checks = 0;
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            failureThreshold: 1,
+            healthCheck: async () => {
+                checks++;
+                if (!healthy) throw new Error('still down');
+            }
+        }
+    });
+    api.circuitBreaker.resetTimeout = 20;
+
+    await failTimes(api, '/svc', 1);
+    strictEqual(api.circuitBreaker.state, 'OPEN');
+
+    await sleep(30);
+    const calls = global.fetch.calls;
+    await failTimes(api, '/svc', 1);
+    strictEqual(global.fetch.calls, calls, 'User requests should not be used as probes');
+    strictEqual(api.circuitBreaker.state, 'OPEN', 'Failed health check keeps the breaker open');
+    ok(checks >= 1, 'Health check should have run');
+
+    healthy = true;
+    await sleep(60);
+    strictEqual(api.circuitBreaker.state, 'CLOSED', 'Passing health check should close the breaker');
+
+    delete global.fetch;
+}
+
+// Test: state-change hook sees every transition
+async function testStateChangeHook() {
+    let failing = true;
+    global.fetch = (url) => Promise.resolve({
+        ok: !failing,
+        status: failing ? 500 : 200,
+        statusText: failing ? 'Internal Server Error' : 'OK',
+        headers: new Map([['content-type', 'application/json']]),
+        url,
+        json: () => Promise.resolve({})
+    });
+
+    const changes = [];
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            scope: 'origin',
+            failureThreshold: 2,
+            onStateChange: (from, to, stats) => changes.push([from, to, stats.key])
+        }
+    });
+
+    await failTimes(api, 'https://svc.example/a', 2);
+    const breaker = api.circuitBreakers.get('https://svc.example');
+    elapse(breaker);
+    failing = false;
+    await api.get('https://svc.example/a', { cache: false });
+
+    deepStrictEqual(changes, [
+        ['CLOSED', 'OPEN', 'https://svc.example'],
+        ['OPEN', 'HALF_OPEN', 'https://svc.example'],
+        ['HALF_OPEN', 'CLOSED', 'https://svc.example']
+    ]);
+
+    delete global.fetch;
+}
+
+// Test: fallback gets the request and the last error, and answers like a response
+async function testFallbackContext() {
+    global.fetch = createRoutingMock(/\/(products|orders)/);
+
+    const seen = [];
+    const api = new Grab({
+        retry: { attempts: 1 },
+        circuitBreaker: {
+            failureThreshold: 1,
+            fallback: (config, lastError) => {
+                seen.push([config.url, lastError]);
+                return config.url === '/orders'
+                    ? { ok: true, status: 203, statusText: 'Cached', headers: new Map(), url: config.url, data: [] }
+                    : { products: [] };
+            }
+        }
+    });
+
+    await failTimes(api, '/products', 1);
+
+    const calls = global.fetch.calls;
+    const response = await api.get('/products');
+    strictEqual(global.fetch.calls, calls, 'Open breaker should not hit the network');
+    ok(response.fromFallback, 'Should be flagged as a fallback');
+    strictEqual(response.status, 200);
+    deepStrictEqual(response.data, { products: [] }, 'Plain values become the response data');
+    ok(response.headers && typeof response.headers.get === 'function', 'Should have headers');
+
+    strictEqual(seen[0][0], '/products', 'Fallback should receive the request config');
+    ok(seen[0][1] instanceof HttpError && seen[0][1].status === 500, 'Fallback should receive the last error');
+
+    const custom = await api.get('/orders');
+    strictEqual(custom.status, 203, 'Response-shaped results are kept');
+    ok(custom.fromFallback);
+
+    strictEqual(api.getCacheStats().size, 0, 'Fallbacks should not be cached');
+
+    delete global.fetch;
+}
+
+// Test: CircuitOpenError goes through error interceptors
+async function testCircuitOpenInterceptors() {
+    global.fetch = createRoutingMock(/\/down/);
+
+    const seen = [];
+    const api = new Grab({ retry: { attempts: 1 }, circuitBreaker: { failureThreshold: 1 } });
+    api.use({
+        error: (error) => {
+            seen.push(error.name);
+            throw error;
+        }
+    });
+
+    await failTimes(api, '/down', 1);
+    deepStrictEqual(seen, ['HttpError']);
+
+    try {
+        await api.get('/down', { cache: false });
+        assert.fail('Should throw CircuitOpenError');
+    } catch (error) {
+        ok(error instanceof CircuitOpenError);
+        strictEqual(error.url, '/down');
+        strictEqual(error.name, 'CircuitOpenError');
+    }
+    deepStrictEqual(seen, ['HttpError', 'CircuitOpenError'], 'Interceptors should see the open circuit');
+
+    delete global.fetch;
+}
+
+// Test: circuitBreaker: false goes straight to the network
+async function testBreakerBypass() {
+    global.fetch = createRoutingMock(/\/down/);
+
+    const api = new Grab({ retry: { attempts: 1 }, circuitBreaker: { failureThreshold: 2 } });
+
+    await failTimes(api, '/down', 2);
+    strictEqual(api.getCircuitBreakerStats().state, 'OPEN');
+
+    const calls = global.fetch.calls;
+    try {
+        await api.get('/down', { cache: false, circuitBreaker: false });
+        assert.fail('Should fail with the server error');
+    } catch (error) {
+        ok(error instanceof HttpError, 'Bypassed request should reach the server');
+    }
+    strictEqual(global.fetch.calls, calls + 1);
+
+    api.resetCircuitBreaker();
+    await api.get('/down', { cache: false, circuitBreaker: false }).catch(() => {});
+    await api.get('/down', { cache: false, circuitBreaker: false }).catch(() => {});
+    strictEqual(api.getCircuitBreakerStats().failures, 0, 'Bypassed failures should not count');
+
+    delete global.fetch;
+}
+
+// Minimal Storage implementation for Node
+const createFakeStorage = () => {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: (i) => Array.from(items.keys())[i] ?? null,
+        getItem: (k) => items.has(k) ? items.get(k) : null,
+        setItem: (k, v) => items.set(k, String(v)),
+        removeItem: (k) => items.delete(k)
+    };
+};
+
+// Test: instances sharing a store share breaker state
+async function testSharedState() {
+    global.fetch = createRoutingMock(/\/down/);
+
+    const options = {
+        retry: { attempts: 1 },
+        circuitBreaker: { failureThreshold: 2, store: 'memory', scope: () => 'shared-test', syncInterval: 0 }
+    };
+    const first = new Grab(options);
+    const second = new Grab(options);
+
+    await failTimes(first, '/down', 1);
+    await failTimes(second, '/down', 1);
+    strictEqual(second.circuitBreakers.get('shared-test').state, 'OPEN', 'Failures from both instances should add up');
+
+    const calls = global.fetch.calls;
+    try {
+        await first.get('/down', { cache: false });
+        assert.fail('Should fail fast');
+    } catch (error) {
+        ok(error instanceof CircuitOpenError, 'First instance should see the open circuit');
+        strictEqual(global.fetch.calls, calls);
+    }
+
+    second.resetCircuitBreaker();
+    const response = await first.get('/up', { cache: false });
+    strictEqual(response.status, 200, 'Reset should reach the other instance');
+
+    delete global.fetch;
+}
+
+// Test: stored state is namespaced by name / baseUrl and re-read at most once per syncInterval
+async function testStoreNamespace() {
+    global.fetch = createRoutingMock(/\/down/);
+
+    const storage = createFakeStorage();
+    const store = new LocalStorageStore({ storage, prefix: 'breaker:' });
+    const options = (extra) => ({
+        retry: { attempts: 1 },
+        circuitBreaker: { failureThreshold: 1, store, syncInterval: 0, ...extra.circuitBreaker },
+        ...extra.grab
+    });
+
+    const users = new Grab(options({ grab: { baseUrl: 'https://users.example.com' } }));
+    const orders = new Grab(options({ grab: { baseUrl: 'https://orders.example.com' } }));
+    await failTimes(users, '/down', 1);
+    strictEqual(users.getCircuitBreakerStats().state, 'OPEN');
+    ok(storage.getItem('breaker:circuit:https://users.example.com:default'), 'Key should include the baseUrl');
+
+    const response = await orders.get('/up', { cache: false });
+    strictEqual(response.status, 200, 'Another API should keep its own state');
+    strictEqual(orders.getCircuitBreakerStats().state, 'CLOSED');
+
+    // An explicit name shares state across baseUrls
+    const a = new Grab(options({ grab: { baseUrl: 'https://a.example.com' }, circuitBreaker: { name: 'backend' } }));
+    const b = new Grab(options({ grab: { baseUrl: 'https://b.example.com' }, circuitBreaker: { name: 'backend' } }));
+    await failTimes(a, '/down', 1);
+    try {
+        await b.get('/up', { cache: false });
+        assert.fail('Should fail fast');
+    } catch (error) {
+        ok(error instanceof CircuitOpenError, 'Same name should share state');
+    }
+
+    // Within syncInterval the store isn't read again
+    let reads = 0;
+    const counting = { get: (key) => { reads++; return store.get(key); }, set: (key, value) => store.set(key, value) };
+    const cached = new Grab({ retry: { attempts: 1 }, circuitBreaker: { store: counting, syncInterval: 60000 } });
+    await cached.get('/up', { cache: false });
+    await cached.get('/up', { cache: false });
+    await cached.get('/up', { cache: false });
+    strictEqual(reads, 1, 'Synced state should be reused within the interval');
+
+    delete global.fetch;
+}
+
+// Test: state survives a reload
+async function testPersistedState() {
+    global.fetch = createRoutingMock(/\/down/);
+
+    const storage = createFakeStorage();
+    const options = () => ({
+        retry: { attempts: 1 },
+        circuitBreaker: { failureThreshold: 1, store: new LocalStorageStore({ storage, prefix: 'breaker:' }) }
+    });
+
+    const before = new Grab(options());
+    await failTimes(before, '/down', 1);
+    strictEqual(before.getCircuitBreakerStats().state, 'OPEN');
+
+    const record = JSON.parse(storage.getItem('breaker:circuit:default'));
+    strictEqual(record.state, 'OPEN');
+    strictEqual(record.failureCount, 1);
+    ok(record.lastFailureTime > 0);
+
+    // "Reload"
+    const after = new Grab(options());
+    await after.circuitBreaker.sync();
+    strictEqual(after.getCircuitBreakerStats().state, 'OPEN', 'Restored breaker should start open');
+
+    const calls = global.fetch.calls;
+    await failTimes(after, '/down', 1);
+    strictEqual(global.fetch.calls, calls, 'Restored breaker should not hammer the service');
+
+    delete global.fetch;
+}
+
+// Main test runner
+async function runCircuitBreakerTests() {
+    console.log('🔌 Circuit Breaker Tests\n');
+
+    const startTime = Date.now();
+
+    try {
+        await test('per-origin breakers', testOriginScope);
+        await test('per-route breakers with overrides', testRouteScope);
+        await test('custom breaker keys', testCustomScope);
+        await test('failure-rate policy', testFailureRatePolicy);
+        await test('slow-call detection', testSlowCalls);
+        await test('half-open probes and backoff', testHalfOpenProbes);
+        await test('active health check', testHealthCheck);
+        await test('state-change hook', testStateChangeHook);
+        await test('fallback context', testFallbackContext);
+        await test('CircuitOpenError and error interceptors', testCircuitOpenInterceptors);
+        await test('per-request breaker bypass', testBreakerBypass);
+        await test('state shared between instances', testSharedState);
+        await test('state persisted across reloads', testPersistedState);
+        await test('store namespace and sync interval', testStoreNamespace);
+
+        const duration = Date.now() - startTime;
+        console.log(`\n✅ All circuit breaker tests passed (${duration}ms)`);
+
+    } catch (error) {
+        console.error('❌ Circuit breaker test failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+process.on('exit', () => {
+    if (global.fetch) delete global.fetch;
+});
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runCircuitBreakerTests();
+}
+
+export { runCircuitBreakerTests };
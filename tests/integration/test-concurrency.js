@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+'use strict';
+
+import assert from 'assert';
+import { Grab, QueueFullError, TimeoutError } from '../../src/Grab.js';
+
+const { ok, strictEqual, deepStrictEqual } = assert;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const test = (name, fn) => fn().then(() => console.log(`✓ ${name}`));
+
+// Responds after `delay` ms and tracks how many requests are in flight, overall and per origin
+const createSlowMock = (delay = 20) => {
+    const mock = (url) => {
+        const origin = new URL(url).origin;
+        mock.calls.push(url);
+        mock.active++;
+        mock.activeByOrigin[origin] = (mock.activeByOrigin[origin] || 0) + 1;
+        mock.peak = Math.max(mock.peak, mock.active);
+        mock.peakByOrigin[origin] = Math.max(mock.peakByOrigin[origin] || 0, mock.activeByOrigin[origin]);
+
+        return sleep(delay).then(() => {
+            mock.active--;
+            mock.activeByOrigin[origin]--;
+            return {
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                headers: new Map([['content-type', 'application/json']]),
+                url,
+                json: () => Promise.resolve({ url })
+            };
+        });
+    };
+    mock.calls = [];
+    mock.active = 0;
+    mock.peak = 0;
+    mock.activeByOrigin = {};
+    mock.peakByOrigin = {};
+    return mock;
+};
+
+const pathsOf = (calls) => calls.map(url => new URL(url).pathname);
+
+// Plain 200 with extra headers; records when each request went out
+const createHeaderMock = (headers = {}) => {
+    const mock = (url) => {
+        mock.times.push(Date.now());
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: new Map([['content-type', 'application/json'], ...Object.entries(headers)]),
+            url,
+            json: () => Promise.resolve({ url })
+        });
+    };
+    mock.times = [];
+    return mock;
+};
+
+// Test: global limit with FIFO dispatch
+async function testMaxConcurrent() {
+    global.fetch = createSlowMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 2 }
+    });
+
+    const requests = [];
+    for (let i = 0; i < 6; i++) {
+        requests.push(api.get(`/widgets/${i}`, { cache: false }));
+    }
+
+    await sleep(0);
+    const stats = api.getQueueStats();
+    strictEqual(stats.active, 2, 'Only two requests should run');
+    strictEqual(stats.queued, 4, 'The rest should wait');
+    strictEqual(stats.byOrigin['https://api.example.com'].queued, 4);
+
+    await Promise.all(requests);
+    strictEqual(global.fetch.peak, 2, 'Never more than maxConcurrent in flight');
+    deepStrictEqual(
+        global.fetch.calls.map(url => url.split('/').pop()),
+        ['0', '1', '2', '3', '4', '5'],
+        'Queued requests should start in order'
+    );
+    strictEqual(api.getQueueStats().queued, 0);
+    strictEqual(api.getQueueStats().active, 0, 'Slots should be released');
+
+    delete global.fetch;
+}
+
+// Test: per-origin limit doesn't hold back other origins
+async function testPerOrigin() {
+    global.fetch = createSlowMock();
+
+    const api = new Grab({ concurrency: { maxConcurrentPerOrigin: 1 } });
+
+    await Promise.all([
+        api.get('https://a.example/1', { cache: false }),
+        api.get('https://a.example/2', { cache: false }),
+        api.get('https://a.example/3', { cache: false }),
+        api.get('https://b.example/1', { cache: false })
+    ]);
+
+    strictEqual(global.fetch.peakByOrigin['https://a.example'], 1, 'One at a time per origin');
+    strictEqual(global.fetch.peak, 2, 'Other origins should not wait');
+    strictEqual(global.fetch.calls[1], 'https://b.example/1', 'b.example should skip past the blocked queue');
+
+    delete global.fetch;
+}
+
+// Test: queue cap and queue timeout
+async function testQueueLimits() {
+    global.fetch = createSlowMock(50);
+
+    const errors = [];
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 1, maxQueue: 1, queueTimeout: 20 }
+    });
+    api.use({ error: (error) => { errors.push(error.name); throw error; } });
+
+    const running = api.get('/a', { cache: false });
+    const waiting = api.get('/b', { cache: false });
+
+    try {
+        await api.get('/c', { cache: false });
+        assert.fail('Should reject when the queue is full');
+    } catch (error) {
+        ok(error instanceof QueueFullError, 'Should throw QueueFullError');
+        strictEqual(error.maxQueue, 1);
+    }
+
+    try {
+        await waiting;
+        assert.fail('Should time out in the queue');
+    } catch (error) {
+        ok(error instanceof TimeoutError, 'Queue timeout should be a TimeoutError');
+    }
+
+    await running;
+    deepStrictEqual(errors, ['QueueFullError', 'TimeoutError'], 'Queue errors should reach error interceptors');
+
+    const stats = api.getQueueStats();
+    strictEqual(stats.rejected, 1);
+    strictEqual(stats.timedOut, 1);
+    strictEqual(global.fetch.calls.length, 1, 'Rejected requests never hit the network');
+    strictEqual(api.getCircuitBreakerStats().failures, 0, 'Queue errors should not count against the service');
+
+    delete global.fetch;
+}
+
+// Test: aborting a queued request removes it from the queue
+async function testAbortWhileQueued() {
+    global.fetch = createSlowMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 1 }
+    });
+
+    const controller = new AbortController();
+    const running = api.get('/a', { cache: false });
+    const queued = api.get('/b', { cache: false, signal: controller.signal });
+
+    await sleep(0);
+    strictEqual(api.getQueueStats().queued, 1);
+    controller.abort();
+
+    try {
+        await queued;
+        assert.fail('Aborted request should reject');
+    } catch (error) {
+        strictEqual(error.name, 'AbortError');
+    }
+
+    strictEqual(api.getQueueStats().queued, 0, 'Aborted request should leave the queue');
+    strictEqual(api.getQueueStats().aborted, 1);
+
+    await running;
+    strictEqual(global.fetch.calls.length, 1, 'Aborted request never hits the network');
+
+    delete global.fetch;
+}
+
+// Test: no limits configured
+async function testUnlimited() {
+    global.fetch = createSlowMock();
+
+    const api = new Grab();
+    strictEqual(api.getQueueStats(), null, 'No stats without concurrency limits');
+
+    await Promise.all([1, 2, 3].map(i => api.get(`https://api.example.com/${i}`, { cache: false })));
+    strictEqual(global.fetch.peak, 3);
+
+    delete global.fetch;
+}
+
+// Test: queued requests start by priority
+async function testPriorityOrder() {
+    global.fetch = createSlowMock(10);
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 1 }
+    });
+
+    await Promise.all([
+        api.get('/running', { cache: false }),
+        api.get('/prefetch-1', { cache: false, priority: 'low' }),
+        api.get('/normal', { cache: false }),
+        api.get('/prefetch-2', { cache: false, priority: 'low' }),
+        api.get('/click', { cache: false, priority: 'high' }),
+        api.get('/urgent', { cache: false, priority: 5 })
+    ]);
+
+    deepStrictEqual(pathsOf(global.fetch.calls), [
+        '/running', '/urgent', '/click', '/normal', '/prefetch-1', '/prefetch-2'
+    ]);
+
+    delete global.fetch;
+}
+
+// Test: long-waiting low-priority requests eventually go first
+async function testPriorityAging() {
+    global.fetch = createSlowMock(60);
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 1, priorityAging: 10 }
+    });
+
+    const running = api.get('/running', { cache: false });
+    const low = api.get('/background', { cache: false, priority: 'low' });
+    await sleep(40);
+    const high = api.get('/click', { cache: false, priority: 'high' });
+
+    await Promise.all([running, low, high]);
+    deepStrictEqual(pathsOf(global.fetch.calls), ['/running', '/background', '/click'],
+        'Aged low-priority request should not be starved');
+
+    delete global.fetch;
+}
+
+// Test: a throwing breaker scope function doesn't leak the slot
+async function testSlotReleasedOnThrow() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 1, queueTimeout: 200 },
+        circuitBreaker: {
+            scope: (url) => {
+                if (url.includes('/bad')) throw new Error('no key');
+                return 'ok';
+            }
+        }
+    });
+
+    await api.get('/bad', { cache: false }).then(() => assert.fail('Should reject'), (error) => {
+        strictEqual(error.message, 'no key');
+    });
+    strictEqual(api.getQueueStats().active, 0, 'Slot should be released');
+
+    const response = await api.get('/good', { cache: false });
+    strictEqual(response.status, 200, 'Next request should get the slot');
+
+    delete global.fetch;
+}
+
+// Test: a request backing off between retries doesn't hold its slot
+async function testSlotReleasedDuringBackoff() {
+    const started = Date.now();
+    const done = {};
+    global.fetch = (url) => {
+        const fails = url.includes('/busy') && !done.busy;
+        if (fails) done.busy = true;
+        return Promise.resolve({
+            ok: !fails,
+            status: fails ? 503 : 200,
+            statusText: fails ? 'Service Unavailable' : 'OK',
+            headers: new Map([['content-type', 'application/json'], ['retry-after', '1']]),
+            url,
+            json: () => Promise.resolve({ url })
+        });
+    };
+
+    const api = new Grab({
+        retry: { attempts: 2 },
+        concurrency: { maxConcurrent: 1 }
+    });
+
+    const busy = api.get('https://busy.example/a', { cache: false });
+    await sleep(20);
+    ok(api.getQueueStats().active === 0, 'Backing-off request should give its slot back');
+
+    const other = await api.get('https://other.example/a', { cache: false });
+    strictEqual(other.status, 200);
+    ok(Date.now() - started < 500, `Other request should not wait for the backoff (${Date.now() - started}ms)`);
+
+    const response = await busy;
+    strictEqual(response.attempts, 2, 'Retry should take a slot again');
+    strictEqual(api.getQueueStats().active, 0);
+
+    delete global.fetch;
+}
+
+// Test: token bucket spaces requests out after the burst
+async function testRateLimit() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        rateLimit: { requests: 1, per: 30, burst: 2 }
+    });
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(i => api.get(`/items/${i}`, { cache: false })));
+    const offsets = global.fetch.times.map(t => t - start);
+
+    ok(offsets[1] < 15, 'Burst should go out right away');
+    ok(offsets[2] >= 25, `Third request should wait for a token (${offsets[2]}ms)`);
+    ok(offsets[3] >= 55, `Fourth request should wait for the next one (${offsets[3]}ms)`);
+
+    delete global.fetch;
+}
+
+// Test: route buckets only slow down their own routes
+async function testRouteRateLimit() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        rateLimit: { routes: [{ url: /\/search/, requests: 1, per: 50, burst: 1 }] }
+    });
+
+    const start = Date.now();
+    await api.get('/search', { cache: false, params: { q: 'a' } });
+    await Promise.all([
+        api.get('/search', { cache: false, params: { q: 'b' } }),
+        api.get('/users', { cache: false })
+    ]);
+
+    const offsets = global.fetch.times.map(t => t - start);
+    ok(offsets[1] < 20, 'Other routes should not be limited');
+    ok(offsets[2] >= 40, `Second search should wait (${offsets[2]}ms)`);
+    ok(api.getRateLimitStats().routes[String(/\/search/)], 'Route bucket should show in stats');
+
+    delete global.fetch;
+}
+
+// Test: requests waiting for a token don't take concurrency slots from other routes
+async function testThrottledKeepsSlotsFree() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        concurrency: { maxConcurrent: 2 },
+        rateLimit: { routes: [{ url: /\/search/, requests: 1, per: 200, burst: 1 }] }
+    });
+
+    const start = Date.now();
+    const searches = [1, 2, 3, 4].map(q => api.get('/search', { cache: false, params: { q } }));
+    await sleep(10);
+
+    await api.get('/other', { cache: false });
+    const waited = Date.now() - start;
+    ok(waited < 100, `Unthrottled route should not wait behind throttled ones (${waited}ms)`);
+    strictEqual(api.getQueueStats().queued, 0, 'Throttled requests should not queue for slots');
+
+    await Promise.all(searches);
+    delete global.fetch;
+}
+
+// Test: RateLimit-Remaining: 0 holds requests until RateLimit-Reset
+async function testAdaptiveRateLimit() {
+    global.fetch = createHeaderMock({ 'ratelimit-remaining': '0', 'ratelimit-reset': '0.05' });
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        rateLimit: { adaptive: true }
+    });
+
+    const start = Date.now();
+    await api.get('/a', { cache: false });
+    ok(api.getRateLimitStats().blockedFor > 0, 'Server said wait');
+
+    await api.get('/b', { cache: false });
+    const offsets = global.fetch.times.map(t => t - start);
+    ok(offsets[1] >= 45, `Should wait for the reset (${offsets[1]}ms)`);
+
+    delete global.fetch;
+}
+
+// Test: aborting while waiting for a token
+async function testAbortWhileThrottled() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        rateLimit: { requests: 1, per: 1000, burst: 1 }
+    });
+
+    await api.get('/a', { cache: false });
+
+    const controller = new AbortController();
+    const waiting = api.get('/b', { cache: false, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    try {
+        await waiting;
+        assert.fail('Should reject when aborted');
+    } catch (error) {
+        strictEqual(error.name, 'AbortError');
+    }
+    strictEqual(global.fetch.times.length, 1, 'Aborted request never hits the network');
+
+    delete global.fetch;
+}
+
+// Test: time spent waiting for a token doesn't make a call slow
+async function testThrottledNotSlow() {
+    global.fetch = createHeaderMock();
+
+    const api = new Grab({
+        baseUrl: 'https://api.example.com',
+        rateLimit: { requests: 1, per: 60, burst: 1 },
+        circuitBreaker: { failureThreshold: 1, slowCallThreshold: 30 }
+    });
+
+    await Promise.all([api.get('/a', { cache: false }), api.get('/b', { cache: false })]);
+    const offsets = global.fetch.times.map(t => t - global.fetch.times[0]);
+    ok(offsets[1] >= 50, `Second request should have been throttled (${offsets[1]}ms)`);
+
+    const stats = api.getCircuitBreakerStats();
+    strictEqual(stats.slowCalls, 0, 'Throttle wait should not count as a slow call');
+    strictEqual(stats.state, 'CLOSED');
+
+    delete global.fetch;
+}
+
+// Main test runner
+async function runConcurrencyTests() {
+    console.log('🚦 Concurrency Tests\n');
+
+    const startTime = Date.now();
+
+    try {
+        await test('global concurrency limit', testMaxConcurrent);
+        await test('per-origin concurrency limit', testPerOrigin);
+        await test('queue size cap and timeout', testQueueLimits);
+        await test('abort while queued', testAbortWhileQueued);
+        await test('no limits by default', testUnlimited);
+        await test('priority ordering', testPriorityOrder);
+        await test('priority aging', testPriorityAging);
+        await test('slot released when the breaker key throws', testSlotReleasedOnThrow);
+        await test('slot released during retry backoff', testSlotReleasedDuringBackoff);
+        await test('token bucket rate limit', testRateLimit);
+        await test('per-route rate limit', testRouteRateLimit);
+        await test('adaptive rate limit from headers', testAdaptiveRateLimit);
+        await test('abort while rate limited', testAbortWhileThrottled);
+        await test('throttled requests keep slots free', testThrottledKeepsSlotsFree);
+        await test('throttling is not a slow call', testThrottledNotSlow);
+
+        const duration = Date.now() - startTime;
+        console.log(`\n✅ All concurrency tests passed (${duration}ms)`);
+
+    } catch (error) {
+        console.error('❌ Concurrency test failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+process.on('exit', () => {
+    if (global.fetch) delete global.fetch;
+});
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runConcurrencyTests();
+}
+
+export { runConcurrencyTests };
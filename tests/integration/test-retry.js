@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+'use strict';
+
+import assert from 'assert';
+import { Grab, HttpError } from '../../src/Grab.js';
+
+const { ok, strictEqual, deepStrictEqual } = assert;
+
+const test = (name, fn) => fn().then(() => console.log(`✓ ${name}`));
+
+// Fails with `status` (and optional headers) the first `failures` times, then succeeds
+const createFlakyMock = (failures, status = 503, headers = {}) => {
+    const mock = (url, options) => {
+        mock.calls.push({ url, options });
+        const fails = mock.calls.length <= failures;
+        return Promise.resolve({
+            ok: !fails,
+            status: fails ? status : 200,
+            statusText: fails ? 'Failed' : 'OK',
+            headers: new Map([['content-type', 'application/json'], ...(fails ? Object.entries(headers) : [])]),
+            url,
+            json: () => Promise.resolve({ attempt: mock.calls.length })
+        });
+    };
+    mock.calls = [];
+    return mock;
+};
+
+// Test: the retry budget stops retries once they outnumber recent requests
+async function testRetryBudget() {
+    global.fetch = createFlakyMock(Infinity);
+
+    const api = new Grab({
+        retry: { attempts: 3, delay: 1, budget: { ratio: 0, minPerSecond: 0.2, window: 10000 } }
+    });
+
+    // Budget allows 0.2/s * 10s = 2 retries
+    try {
+        await api.get('/a', { cache: false });
+        assert.fail('Should fail');
+    } catch (error) {
+        ok(error instanceof HttpError);
+        ok(!error.retryBudgetExhausted, 'First request fits in the budget');
+    }
+    strictEqual(global.fetch.calls.length, 3);
+
+    try {
+        await api.get('/b', { cache: false });
+        assert.fail('Should fail');
+    } catch (error) {
+        strictEqual(error.retryBudgetExhausted, true, 'Error should say the budget ran out');
+    }
+    strictEqual(global.fetch.calls.length, 4, 'No retries once the budget is spent');
+
+    const stats = api.getRetryStats();
+    strictEqual(stats.requests, 2);
+    strictEqual(stats.retries, 2);
+    strictEqual(stats.allowed, 2);
+    strictEqual(stats.exhausted, 1);
+
+    delete global.fetch;
+}
+
+// Test: successful requests earn retries
+async function testRetryBudgetRatio() {
+    global.fetch = createFlakyMock(0);
+
+    const api = new Grab({
+        retry: { attempts: 2, delay: 1, budget: { ratio: 0.5, minPerSecond: 0 } }
+    });
+    strictEqual(api.getRetryStats().allowed, 0);
+
+    for (let i = 0; i < 4; i++) {
+        await api.get(`/ok/${i}`, { cache: false });
+    }
+    strictEqual(api.getRetryStats().allowed, 2, 'Half of recent requests may be retried');
+
+    strictEqual(new Grab().getRetryStats(), null, 'No budget unless configured');
+
+    delete global.fetch;
+}
+
+const failWith = async (promise) => {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    assert.fail('Should have thrown');
+};
+
+// Test: only idempotent methods are retried by default
+async function testMethodAwareRetry() {
+    const api = new Grab({ retry: { attempts: 3, delay: 1 } });
+
+    for (const method of ['GET', 'PUT', 'DELETE', 'HEAD']) {
+        global.fetch = createFlakyMock(1);
+        await api.request({ method, url: '/items/1', cache: false });
+        strictEqual(global.fetch.calls.length, 2, `${method} should be retried`);
+    }
+
+    for (const method of ['POST', 'PATCH']) {
+        global.fetch = createFlakyMock(1);
+        const error = await failWith(api.request({ method, url: '/items', body: {} }));
+        ok(error instanceof HttpError);
+        strictEqual(global.fetch.calls.length, 1, `${method} should not be retried`);
+    }
+
+    // Network failures too - the request may have reached the server
+    let calls = 0;
+    global.fetch = () => {
+        calls++;
+        return Promise.reject(new TypeError('fetch failed'));
+    };
+    await failWith(api.post('/orders', { body: {} }));
+    strictEqual(calls, 1, 'Network-failed POST should not be retried');
+
+    delete global.fetch;
+}
+
+// Test: Idempotency-Key or retry.methods make unsafe methods retryable
+async function testUnsafeRetryOptIn() {
+    const api = new Grab({ retry: { attempts: 3, delay: 1 } });
+
+    global.fetch = createFlakyMock(1);
+    await api.post('/orders', { body: {}, headers: { 'Idempotency-Key': 'order-42' } });
+    strictEqual(global.fetch.calls.length, 2, 'POST with Idempotency-Key should be retried');
+
+    const optedIn = new Grab({ retry: { attempts: 3, delay: 1, methods: ['GET', 'POST'] } });
+    global.fetch = createFlakyMock(1);
+    await optedIn.post('/search', { body: {} });
+    strictEqual(global.fetch.calls.length, 2, 'Opted-in POST should be retried');
+
+    delete global.fetch;
+}
+
+// Test: custom conditions see the request and the attempt number
+async function testConditionArguments() {
+    global.fetch = createFlakyMock(Infinity);
+
+    const seen = [];
+    const api = new Grab({
+        retry: {
+            attempts: 3,
+            delay: 1,
+            condition: (error, config, attempt) => {
+                seen.push([error.status, config.method, config.url, attempt]);
+                return true;
+            }
+        }
+    });
+
+    await failWith(api.post('/orders', { body: {} }));
+    deepStrictEqual(seen, [[503, 'POST', '/orders', 1], [503, 'POST', '/orders', 2], [503, 'POST', '/orders', 3]]);
+
+    delete global.fetch;
+}
+
+const keysSent = (mock, header = 'Idempotency-Key') => mock.calls.map(call => call.options.headers[header]);
+
+// Test: one generated key per logical request, reused on every retry
+async function testIdempotencyKeys() {
+    const api = new Grab({ retry: { attempts: 3, delay: 1 }, idempotency: true });
+
+    global.fetch = createFlakyMock(2);
+    const response = await api.post('/orders', { body: { sku: 'A1' } });
+    const keys = keysSent(global.fetch);
+    strictEqual(keys.length, 3, 'POST with a generated key should be retried');
+    ok(keys[0], 'Key should be sent');
+    ok(keys.every(key => key === keys[0]), 'Retries should reuse the key');
+    strictEqual(response.idempotencyKey, keys[0], 'Key should be on the response');
+
+    global.fetch = createFlakyMock(0);
+    await api.post('/orders', { body: { sku: 'A1' } });
+    ok(keysSent(global.fetch)[0] !== keys[0], 'Each logical request gets a new key');
+
+    global.fetch = createFlakyMock(Infinity, 500);
+    const error = await failWith(api.patch('/orders/1', { body: {} }));
+    strictEqual(error.idempotencyKey, keysSent(global.fetch)[0], 'Key should be on the error');
+
+    global.fetch = createFlakyMock(0);
+    await api.put('/orders/1', { body: {} });
+    await api.get('/orders/1', { cache: false });
+    deepStrictEqual(keysSent(global.fetch), [undefined, undefined], 'Only POST/PATCH get keys');
+
+    delete global.fetch;
+}
+
+// Test: custom header and generator; a caller-provided key wins
+async function testIdempotencyOptions() {
+    let n = 0;
+    const api = new Grab({
+        retry: { attempts: 2, delay: 1 },
+        idempotency: { header: 'X-Request-Key', generate: (config) => `${config.url}#${++n}` }
+    });
+
+    global.fetch = createFlakyMock(1);
+    const response = await api.post('/payments', { body: {} });
+    deepStrictEqual(keysSent(global.fetch, 'X-Request-Key'), ['/payments#1', '/payments#1']);
+    strictEqual(response.idempotencyKey, '/payments#1');
+
+    global.fetch = createFlakyMock(0);
+    const own = await api.post('/payments', { body: {}, headers: { 'x-request-key': 'mine' } });
+    strictEqual(own.idempotencyKey, 'mine', 'Caller key should be kept');
+    strictEqual(global.fetch.calls[0].options.headers['X-Request-Key'], undefined, 'No second key header');
+    strictEqual(n, 1, 'Generator should not run when a key is set');
+
+    delete global.fetch;
+}
+
+// Test: per-request retry settings override the instance
+async function testPerRequestRetry() {
+    const api = new Grab({ retry: { attempts: 2, delay: 1 } });
+
+    global.fetch = createFlakyMock(3);
+    await api.get('/critical', { cache: false, retry: { attempts: 5 } });
+    strictEqual(global.fetch.calls.length, 4, 'Critical call should retry harder');
+
+    global.fetch = createFlakyMock(1);
+    await failWith(api.get('/beacon', { cache: false, retry: false }));
+    strictEqual(global.fetch.calls.length, 1, 'retry: false should make a single attempt');
+
+    global.fetch = createFlakyMock(1, 404);
+    const attempts = [];
+    await api.get('/eventually', {
+        cache: false,
+        retry: { condition: (error, config, attempt) => attempts.push(attempt) > 0, delay: (n) => n }
+    });
+    deepStrictEqual(attempts, [1], 'Request condition should replace the instance one');
+
+    global.fetch = createFlakyMock(1);
+    await api.get('/default', { cache: false });
+    strictEqual(global.fetch.calls.length, 2, 'Instance settings apply without an override');
+
+    delete global.fetch;
+}
+
+const timed = async (promise) => {
+    const start = Date.now();
+    await promise.catch(() => {});
+    return Date.now() - start;
+};
+
+// Test: Retry-After in seconds or as an HTTP-date, on 429 and 503
+async function testRetryAfter() {
+    const api = new Grab({ retry: { attempts: 2, delay: 1, maxRetryAfter: 60 } });
+
+    global.fetch = createFlakyMock(1, 503, { 'retry-after': '0.04' });
+    let elapsed = await timed(api.get('/maintenance', { cache: false }));
+    strictEqual(global.fetch.calls.length, 2);
+    ok(elapsed >= 35, `503 should wait for Retry-After (${elapsed}ms)`);
+
+    const later = new Date(Date.now() + 3600000).toUTCString();
+    global.fetch = createFlakyMock(1, 429, { 'retry-after': later });
+    elapsed = await timed(api.get('/throttled', { cache: false }));
+    strictEqual(global.fetch.calls.length, 2);
+    ok(elapsed >= 55 && elapsed < 1000, `HTTP-date should be capped at maxRetryAfter (${elapsed}ms)`);
+
+    global.fetch = createFlakyMock(1, 503, { 'retry-after': 'soon' });
+    elapsed = await timed(api.get('/garbage', { cache: false }));
+    ok(elapsed < 50, 'Unparseable Retry-After should fall back to the retry delay');
+
+    delete global.fetch;
+}
+
+// Test: fail fast when the server asks for a longer wait than the cap
+async function testRetryAfterFailFast() {
+    const api = new Grab({ retry: { attempts: 3, delay: 1, maxRetryAfter: 1000, failFastOnRetryAfter: true } });
+
+    global.fetch = createFlakyMock(1, 503, { 'retry-after': '120' });
+    const error = await failWith(api.get('/maintenance', { cache: false }));
+    ok(error instanceof HttpError);
+    strictEqual(error.retryAfter, 120000, 'Error should say how long the server asked to wait');
+    strictEqual(global.fetch.calls.length, 1, 'Should not retry');
+
+    global.fetch = createFlakyMock(1, 503, { 'retry-after': '0' });
+    await api.get('/blip', { cache: false });
+    strictEqual(global.fetch.calls.length, 2, 'Short waits are still retried');
+
+    delete global.fetch;
+}
+
+// Test: attempt count, duration and per-attempt errors on responses and errors
+async function testAttemptMetadata() {
+    const api = new Grab({ retry: { attempts: 3, delay: 5 } });
+
+    global.fetch = createFlakyMock(2);
+    const response = await api.get('/flaky');
+    strictEqual(response.attempts, 3);
+    ok(response.totalDuration >= 8, `Duration should include the waits (${response.totalDuration}ms)`);
+    strictEqual(response.errors.length, 2);
+    ok(response.errors.every(error => error instanceof HttpError && error.status === 503));
+
+    const cached = await api.get('/flaky');
+    ok(cached.fromCache);
+    strictEqual(cached.attempts, 0, 'Cache hits should not report the original fetch');
+    deepStrictEqual(cached.errors, []);
+
+    global.fetch = createFlakyMock(0);
+    const first = await api.get('/ok', { cache: false });
+    strictEqual(first.attempts, 1);
+    deepStrictEqual(first.errors, []);
+
+    global.fetch = createFlakyMock(Infinity, 502);
+    const error = await failWith(api.get('/down', { cache: false }));
+    strictEqual(error.attempts, 3);
+    ok(error.totalDuration >= 8);
+    strictEqual(error.errors.length, 2, 'Earlier failures only - not the error that was thrown');
+    ok(!error.errors.includes(error));
+    const json = JSON.parse(JSON.stringify(error));
+    strictEqual(json.attempts, 3, 'Errors should still serialize for loggers');
+
+    const single = await failWith(new Grab({ retry: { attempts: 1 } }).get('/down', { cache: false }));
+    deepStrictEqual(single.errors, []);
+    JSON.stringify(single);
+
+    delete global.fetch;
+}
+
+// Test: onRetry hook and retry interceptors
+async function testRetryHooks() {
+    const retries = [];
+    const api = new Grab({
+        retry: {
+            attempts: 4,
+            delay: 1000,
+            onRetry: (error, attempt, delay, config) => retries.push([error.status, attempt, delay, config.url])
+        }
+    });
+    api.use({ retry: (error, attempt) => attempt * 2 });
+
+    global.fetch = createFlakyMock(2);
+    const response = await api.get('/flaky', { cache: false });
+    strictEqual(response.attempts, 3);
+    deepStrictEqual(retries, [[503, 1, 2, '/flaky'], [503, 2, 4, '/flaky']], 'Hook should see the intercepted delay');
+
+    // Returning false cancels the retry
+    api.use({ retry: (error) => error.status !== 502 });
+    global.fetch = createFlakyMock(Infinity, 502);
+    const error = await failWith(api.get('/bad-gateway', { cache: false }));
+    strictEqual(global.fetch.calls.length, 1, 'Cancelled retry should not hit the network again');
+    strictEqual(error.attempts, 1);
+
+    // A throwing hook doesn't break the request
+    const sturdy = new Grab({ retry: { attempts: 2, delay: 1, onRetry: () => { throw new Error('boom'); } } });
+    global.fetch = createFlakyMock(1);
+    strictEqual((await sturdy.get('/flaky', { cache: false })).attempts, 2);
+
+    delete global.fetch;
+}
+
+// Main test runner
+async function runRetryTests() {
+    console.log('🔁 Retry Tests\n');
+
+    const startTime = Date.now();
+
+    try {
+        await test('retry budget', testRetryBudget);
+        await test('retry budget ratio', testRetryBudgetRatio);
+        await test('method-aware retries', testMethodAwareRetry);
+        await test('retrying unsafe methods', testUnsafeRetryOptIn);
+        await test('retry condition arguments', testConditionArguments);
+        await test('idempotency keys', testIdempotencyKeys);
+        await test('idempotency key options', testIdempotencyOptions);
+        await test('per-request retry overrides', testPerRequestRetry);
+        await test('Retry-After seconds and HTTP-dates', testRetryAfter);
+        await test('fail fast on long Retry-After', testRetryAfterFailFast);
+        await test('attempt metadata', testAttemptMetadata);
+        await test('retry hooks and interceptors', testRetryHooks);
+
+        const duration = Date.now() - startTime;
+        console.log(`\n✅ All retry tests passed (${duration}ms)`);
+
+    } catch (error) {
+        console.error('❌ Retry test failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+process.on('exit', () => {
+    if (global.fetch) delete global.fetch;
+});
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runRetryTests();
+}
+
+export { runRetryTests };
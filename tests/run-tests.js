@@ -28,6 +28,26 @@ const TEST_SUITES = {
         name: 'Interceptor Tests',
         emoji: '🔄'
     },
+    cache: {
+        file: 'integration/test-cache.js',
+        name: 'Cache Tests',
+        emoji: '💾'
+    },
+    breaker: {
+        file: 'integration/test-circuit-breaker.js',
+        name: 'Circuit Breaker Tests',
+        emoji: '🔌'
+    },
+    concurrency: {
+        file: 'integration/test-concurrency.js',
+        name: 'Concurrency Tests',
+        emoji: '🚦'
+    },
+    retry: {
+        file: 'integration/test-retry.js',
+        name: 'Retry Tests',
+        emoji: '🔁'
+    },
     config: {
         file: 'unit/config-validation.js',
         name: 'Configuration Validation Tests',